@@ -0,0 +1,192 @@
+const path = require('path');
+const { JsonFileStore } = require('./store');
+const schedule = require('./schedule');
+
+/*
+Attendance records. Each class meeting which ends is recorded with its participants:
+{
+  meetingId: string
+  class: string         Title of the class
+  channel: string       ID of the channel the meeting was in
+  time: number          When the meeting ended, ms since the epoch
+  date: string          The date the meeting ended in the class's timezone, YYYY-MM-DD
+  participants: [
+    { id: string, name: string, duration: number }     Duration is in seconds, null if Teams didn't say
+  ]
+}
+Participants who were in a meeting for less than the minimum duration are flagged in exports and summaries.
+Participants without a duration aren't flagged, as how long they were there isn't known.
+*/
+
+class Attendance {
+  _store;
+  _minDuration;
+  _timezone;
+
+  /**
+   * @param {MemoryStore} store  Store to keep the records in. Records should not expire, so this is usually its own store.
+   * @param {object} options
+   * @param {number} options.minDuration Minutes a participant must attend for to not be flagged.
+   * @param {string} options.timezone    IANA timezone dates are recorded in.
+   */
+  constructor(store, options = {}) {
+    this._store = store;
+    this._minDuration = options.minDuration ?? 0;
+    this._timezone = options.timezone;
+  }
+
+  /**
+   * Record the participants of a meeting which has ended.
+   * 
+   * @param {object} classConfig The class the meeting was for.
+   * @param {object} meeting     The MEETING_ENDED event payload.
+   * @param {Date} date          When the meeting ended.
+   */
+  record(classConfig, meeting, date = new Date()) {
+    const parts = schedule.getZonedParts(date, classConfig.timezone ?? this._timezone);
+
+    this._store.set('attendance', meeting.id, {
+      meetingId: meeting.id,
+      class: classConfig.title,
+      channel: meeting.channel.id,
+      time: date.getTime(),
+      date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+      participants: meeting.participants.map(({id, name, duration}) => ({id, name, duration}))
+    });
+  }
+
+  /**
+   * Find the recorded meetings, optionally only for a class and date range. Oldest meetings first.
+   * 
+   * @param {object} filter
+   * @param {string} filter.class Title of the class.
+   * @param {string} filter.from  First date to include, YYYY-MM-DD.
+   * @param {string} filter.until Last date to include, YYYY-MM-DD.
+   * 
+   * @returns {object[]}
+   */
+  query(filter = {}) {
+    return this._store.keys('attendance')
+      .map((key) => this._store.get('attendance', key))
+      .filter((record) => (
+        (!filter.class || record.class === filter.class)
+        && (!filter.from || record.date >= filter.from)
+        && (!filter.until || record.date <= filter.until)
+      ))
+      .map((record) => Object.assign({}, record, {
+        flagged: record.participants.filter((participant) => this.isBelowMinimum(participant))
+      }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * @param {object} participant
+   * 
+   * @returns {boolean} False if the participant's duration isn't known.
+   */
+  isBelowMinimum(participant) {
+    if (participant.duration === null || participant.duration === undefined)
+      return false;
+
+    return participant.duration < this._minDuration * 60;
+  }
+
+  /**
+   * Export the recorded meetings as JSON or CSV. The CSV has a row for each participant of each meeting.
+   * 
+   * @param {string} format Either 'json' or 'csv'.
+   * @param {object} filter The same filter as query.
+   * 
+   * @returns {string}
+   */
+  export(format, filter = {}) {
+    const records = this.query(filter);
+
+    if (format === 'json')
+      return JSON.stringify(records, null, 2);
+
+    if (format !== 'csv')
+      throw `Unknown attendance export format ${format}`;
+
+    const rows = [['class', 'date', 'meeting', 'participant_id', 'participant_name', 'duration_mins', 'below_minimum']];
+
+    for (const record of records) {
+      for (const participant of record.participants) {
+        rows.push([
+          record.class,
+          record.date,
+          record.meetingId,
+          participant.id,
+          participant.name,
+          participant.duration === null || participant.duration === undefined ? '' : Math.round(participant.duration / 60),
+          this.isBelowMinimum(participant) ? 'yes' : 'no'
+        ]);
+      }
+    }
+
+    return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Summarise the meetings in a date range for the attendanceSummary template.
+   * 
+   * @param {object} filter The same filter as query.
+   * 
+   * @returns {object}
+   */
+  summarise(filter = {}) {
+    const meetings = this.query(filter).map((record) => ({
+      class: record.class,
+      date: record.date,
+      participantCount: record.participants.length,
+      hasFlagged: record.flagged.length > 0,
+      flagged: record.flagged.map((participant) => ({name: participant.name, minutes: Math.round(participant.duration / 60)}))
+    }));
+
+    return {
+      from: filter.from,
+      until: filter.until,
+      minDuration: this._minDuration,
+      meetings
+    };
+  }
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function csvField(value) {
+  const field = String(value ?? '');
+  return /[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+module.exports = { Attendance };
+
+// Export attendance from the command line:
+// node attendance.js [--class "Class A"] [--from 2023-07-17] [--until 2023-09-22] [--format csv|json]
+if (require.main === module) {
+  const config = require('./config.json');
+  const attendanceConfig = config.attendance ?? {};
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  const store = new JsonFileStore(path.resolve(__dirname, attendanceConfig.file ?? 'attendance.json'));
+  const attendance = new Attendance(store, {minDuration: attendanceConfig.minDuration, timezone: config.timezone});
+
+  store.load()
+    .then(() => {
+      process.stdout.write(attendance.export(option('format') ?? 'csv', {
+        class: option('class'),
+        from: option('from'),
+        until: option('until')
+      }));
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
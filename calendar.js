@@ -0,0 +1,112 @@
+const { getZonedParts } = require('./schedule');
+
+/*
+The academic calendar, used to work out the course week.
+{
+  timezone: string      IANA timezone the dates are in. Defaults to the top level config timezone.
+  terms: [
+    {
+      start: string     First day of the term, YYYY-MM-DD. Weeks of the term begin on this day of the week.
+      end: string       Last day of the term, YYYY-MM-DD. Optional for the last term.
+    }
+  ]
+  breaks: [             Non-teaching periods within terms, e.g. a mid-semester break
+    { from: string, until: string }
+  ]
+  weekOffset: number    Added to the week number, for courses which don't start at week 1.
+  breakLabel: string    Shown instead of the week outside of teaching weeks. Set to false to show nothing.
+}
+Weeks are counted across terms, so the first week of a second term follows on from the last week of the first term.
+A week is a break week if its first day falls in a break, so breaks should cover whole weeks.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the calendar from config. Configs with only a courseStart timestamp are treated as one open-ended term.
+ * 
+ * @param {object} config The bot config.
+ * 
+ * @returns {object|null} Null if the config has neither a calendar nor a courseStart.
+ */
+function fromConfig(config) {
+  if (!config.calendar && !config.courseStart)
+    return null;
+
+  const calendar = config.calendar ?? {terms: [{start: config.courseStart}]};
+
+  return Object.assign({timezone: config.timezone}, calendar);
+}
+
+/**
+ * Get the teaching week the date falls in, or null if it's not in a teaching week or there's no calendar.
+ * 
+ * @param {object|null} calendar The calendar from fromConfig.
+ * @param {Date} date
+ * 
+ * @returns {number|null}
+ */
+function getCourseWeek(calendar, date) {
+  if (!calendar)
+    return null;
+
+  const today = toDay(date, calendar.timezone);
+  const breaks = (calendar.breaks ?? []).map((range) => [parseDate(range.from, calendar.timezone), parseDate(range.until, calendar.timezone)]);
+  const terms = (calendar.terms ?? [])
+    .filter((term) => term && term.start)
+    .map((term) => [parseDate(term.start, calendar.timezone), term.end ? parseDate(term.end, calendar.timezone) : Infinity])
+    .sort((a, b) => a[0] - b[0]);
+
+  let week = 0;
+
+  for (const [start, end] of terms) {
+    for (let weekStart = start; weekStart <= end && weekStart <= today; weekStart += 7) {
+      const isBreak = breaks.some(([from, until]) => weekStart >= from && weekStart <= until);
+
+      if (today < weekStart + 7 && today <= end)
+        return isBreak ? null : week + 1 + (calendar.weekOffset ?? 0);
+
+      if (!isBreak)
+        week++;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the label for the week the date falls in, e.g. 'WEEK3', or the break label outside of teaching weeks.
+ * 
+ * @param {object|null} calendar The calendar from fromConfig.
+ * @param {Date} date
+ * 
+ * @returns {string|null} Null if nothing should be shown, including when there's no calendar.
+ */
+function getWeekLabel(calendar, date) {
+  if (!calendar)
+    return null;
+
+  const week = getCourseWeek(calendar, date);
+
+  if (week !== null)
+    return `WEEK${week}`;
+
+  return (calendar.breakLabel === false) ? null : (calendar.breakLabel ?? 'BREAK');
+}
+
+// Days since the epoch of the date in the timezone.
+function toDay(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day) / DAY_MS;
+}
+
+// Days since the epoch for a YYYY-MM-DD string, or a unix timestamp in the timezone.
+function parseDate(date, timezone) {
+  if (typeof date === 'number')
+    return toDay(new Date(date * 1000), timezone);
+
+  const [year, month, day] = date.split('-').map((part) => parseInt(part));
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+module.exports = { fromConfig, getCourseWeek, getWeekLabel };
@@ -0,0 +1,210 @@
+const { escapeHtml, htmlToText } = require('./html');
+
+/*
+Chat commands. Messages which start with the command prefix (e.g. '!next') or which start by @mentioning the bot
+(e.g. '@Class Bot next') are dispatched to the registered command. A command is
+{
+  description: string     Shown in the help
+  usage: string           Arguments shown in the help, e.g. '<class>'
+  teachersOnly: boolean   Only the teachers in config can use the command
+  handler: function       Called with {args, message, reply}. reply(html) posts a message in the same channel.
+}
+*/
+
+class CommandRouter {
+  _client;
+  _commands = {};
+  _prefix;
+  _botName;
+  _teachers;
+  _channels;
+  _rateLimit;
+  _botUserId;
+  _usage = {};
+  _replies = new Set();
+
+  /**
+   * @param {TeamsClient} client
+   * @param {object} options
+   * @param {string} options.prefix     Prefix commands start with. Defaults to '!'.
+   * @param {string} options.botName    Display name of the bot's account, for @mention commands.
+   * @param {string[]} options.teachers IDs of the users allowed to use teachers only commands.
+   * @param {string[]} options.channels Channels commands are accepted in. Commands are accepted anywhere if not given.
+   * @param {object} options.rateLimit  {count, period} How many commands a user can use per period (seconds).
+   * @param {string} options.botUserId  ID of the bot's account, so it doesn't answer its own messages.
+   */
+  constructor(client, options = {}) {
+    this._client = client;
+    this._prefix = options.prefix ?? '!';
+    this._botName = options.botName;
+    this._teachers = options.teachers ?? [];
+    this._channels = options.channels;
+    this._rateLimit = Object.assign({count: 5, period: 60}, options.rateLimit);
+    this._botUserId = options.botUserId;
+  }
+
+  /**
+   * Add a command.
+   * 
+   * @param {string} name Name of the command, without the prefix.
+   * @param {object} command
+   */
+  register(name, command) {
+    this._commands[name.toLowerCase()] = command;
+  }
+
+  /**
+   * @param {string} name Name of the command, without the prefix.
+   * 
+   * @returns {object|undefined}
+   */
+  get(name) {
+    return this._commands[name.toLowerCase()];
+  }
+
+  /**
+   * Get the commands a user can use.
+   * 
+   * @param {string} userId
+   * 
+   * @returns {object} The command names mapped to the commands.
+   */
+  available(userId) {
+    return Object.fromEntries(Object.entries(this._commands).filter(([, command]) => !command.teachersOnly || this.isTeacher(userId)));
+  }
+
+  /**
+   * @param {string} userId ID of a user, with or without the '8:orgid:' prefix.
+   * 
+   * @returns {boolean}
+   */
+  isTeacher(userId) {
+    const id = userId.substring(userId.lastIndexOf(':') + 1);
+    return this._teachers.some((teacher) => teacher == id);
+  }
+
+  /**
+   * Change who can use teachers only commands, e.g. when the config is reloaded.
+   * 
+   * @param {string[]} teachers IDs of the users.
+   */
+  setTeachers(teachers) {
+    this._teachers = teachers ?? [];
+  }
+
+  get prefix() {
+    return this._prefix;
+  }
+
+  /**
+   * Handle a NEW_MESSAGE event. Messages which aren't commands are ignored.
+   * 
+   * @param {object} message The NEW_MESSAGE event payload.
+   * 
+   * @returns {Promise}
+   */
+  handleMessage(message) {
+    // Replies can contain commands, e.g. the help, so answering the bot's own messages could loop.
+    if (this._isOwnMessage(message))
+      return Promise.resolve();
+
+    if (this._channels && this._channels.indexOf(message.channel.id) < 0)
+      return Promise.resolve();
+
+    const parsed = this.parse(message.content ?? '');
+    if (!parsed)
+      return Promise.resolve();
+
+    const command = this._commands[parsed.name];
+    if (!command)
+      return Promise.resolve();
+
+    if (this._isRateLimited(message.user.id)) {
+      console.log(`Ignoring command from ${message.user.id}, rate limited`);
+      return Promise.resolve();
+    }
+
+    // The reply is remembered before it's sent, as Teams can echo it back before the send resolves.
+    const reply = (html) => {
+      const clientMessageId = this._client.newClientMessageId();
+      this._rememberReply(clientMessageId);
+      return this._client.sendMessage(message.channel.id, html, {clientMessageId});
+    };
+
+    return Promise.resolve()
+      .then(() => {
+        if (command.teachersOnly && !this.isTeacher(message.user.id))
+          return reply(`<p>Only teachers can use <code>${escapeHtml(this._prefix + parsed.name)}</code>.</p>`);
+
+        return command.handler({args: parsed.args, message, reply});
+      })
+      .catch((error) => console.error(`Command ${parsed.name} failed`, error));
+  }
+
+  /**
+   * Parse a command from the content of a message.
+   * 
+   * @param {string} content The HTML content of the message.
+   * 
+   * @returns {object|null} The command name and its arguments, or null if the message isn't a command.
+   */
+  parse(content) {
+    let text = htmlToText(content);
+
+    if (text.startsWith(this._prefix)) {
+      text = text.substring(this._prefix.length);
+    } else if (
+      this._botName
+      && content.indexOf('http://schema.skype.com/Mention') >= 0
+      && text.toLowerCase().startsWith(this._botName.toLowerCase())
+    ) {
+      text = text.substring(this._botName.length).trim();
+
+      // Allow the prefix after the mention too, '@Class Bot !next'.
+      if (text.startsWith(this._prefix))
+        text = text.substring(this._prefix.length);
+    } else {
+      return null;
+    }
+
+    const [name, ...args] = text.split(/\s+/).filter((part) => part.length);
+    if (!name)
+      return null;
+
+    return {name: name.toLowerCase(), args};
+  }
+
+  _isOwnMessage(message) {
+    if (this._replies.delete(message.clientMessageId))
+      return true;
+
+    const userId = (message.user && message.user.id) ?? '';
+    return !!this._botUserId && userId.substring(userId.lastIndexOf(':') + 1) == this._botUserId;
+  }
+
+  // Replies are recognised by their client ID when Teams echoes them back, in case the bot's user ID isn't configured.
+  _rememberReply(clientMessageId) {
+    this._replies.add(clientMessageId);
+
+    // The echo normally arrives within seconds, don't keep IDs whose echo was missed forever.
+    if (this._replies.size > 100)
+      this._replies.delete(this._replies.values().next().value);
+  }
+
+  // Record a command use and check whether the user has used too many commands in the period.
+  _isRateLimited(userId) {
+    const now = Date.now();
+    const uses = (this._usage[userId] ?? []).filter((time) => now - time < this._rateLimit.period * 1000);
+
+    if (uses.length >= this._rateLimit.count) {
+      this._usage[userId] = uses;
+      return true;
+    }
+
+    uses.push(now);
+    this._usage[userId] = uses;
+    return false;
+  }
+}
+
+module.exports = { CommandRouter };
@@ -0,0 +1,519 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+Loading, checking and reloading the bot config. The config is checked when it's loaded, so a mistake such as a
+wrong channel ID or a session at hour 25 stops the bot starting with a message saying what's wrong, rather than
+meetings silently never matching a class.
+
+While the bot is running, changes to the config file are picked up without reconnecting to Teams. Only the parts
+which are read as they're used can be changed this way, see RELOADABLE. Changes to anything else, such as the Teams
+connection or the plugins, need a restart. A changed config which isn't valid is ignored, and the bot carries on
+with the config it has.
+*/
+
+const RELOADABLE = ['classes', 'teachers', 'templates', 'targets', 'groupChatChannel', 'timezone', 'exclude', 'calendar', 'courseStart', 'reminders', 'repoUrl'];
+
+// Chat and channel IDs, e.g. 19:abc123@thread.tacv2 for a team channel or 19:abc_def@unq.gbl.spaces for a 1:1 chat.
+const THREAD_ID = /^\d+:[^\s@]+@(thread\.(v2|tacv2|skype)|unq\.gbl\.spaces)$/;
+// User IDs, as in Azure AD, without the 8:orgid: prefix.
+const USER_ID = /^[\w-]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MEETING_CHANNEL = 'meeting';
+const SUMMARY_TYPES = ['edit', 'reply'];
+const BUILT_IN_PLUGINS = ['meetings', 'reminders', 'attendance', 'admin', 'webhooks'];
+
+class ConfigError extends Error {
+  errors;
+
+  /**
+   * @param {string} filePath The config file.
+   * @param {string[]} errors What's wrong with it, e.g. 'classes[0].start.day must be a whole number from 0 to 6'.
+   */
+  constructor(filePath, errors) {
+    super(`${filePath} isn't valid:\n${errors.map((error) => `  ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read and check the config file.
+ * 
+ * @param {string} filePath
+ * 
+ * @returns {object} The config.
+ * 
+ * @throws {ConfigError} If the file can't be read or the config isn't valid.
+ */
+function loadConfig(filePath) {
+  let config;
+
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(filePath, [error.code === 'ENOENT' ? 'the file doesn\'t exist, copy config-sample.json to start' : error.message]);
+  }
+
+  const errors = validateConfig(config, path.dirname(filePath));
+  if (errors.length)
+    throw new ConfigError(filePath, errors);
+
+  return config;
+}
+
+/**
+ * Check a config.
+ * 
+ * @param {object} config
+ * @param {string} baseDir Directory paths in the config are relative to.
+ * 
+ * @returns {string[]} What's wrong with the config, empty if nothing is.
+ */
+function validateConfig(config, baseDir) {
+  const errors = [];
+  const check = new Checker(errors);
+
+  if (!check.object('config', config))
+    return errors;
+
+  if (check.object('teams', config.teams)) {
+    const teams = config.teams;
+
+    if (!teams.attach)
+      check.string('teams.app', teams.app);
+
+    if (typeof teams.attach !== 'string')
+      check.integer('teams.debugPort', teams.debugPort, 1, 65535);
+
+    for (const name of ['startTimeout', 'timeout', 'retries', 'sendInterval'])
+      check.optional(`teams.${name}`, teams[name], check.integer, 0);
+  }
+
+  check.optional('timezone', config.timezone, check.timezone);
+  check.optional('exclude', config.exclude, check.excludeList);
+  check.optional('groupChatChannel', config.groupChatChannel, check.threadId);
+  check.optional('targets', config.targets, check.targets);
+  check.optional('templates', config.templates, (name, value) => check.templates(name, value, baseDir));
+
+  if (check.array('teachers', config.teachers))
+    config.teachers.forEach((teacher, index) => check.userId(`teachers[${index}]`, teacher));
+
+  // The bot's account is used to ignore its own messages, so it can't answer its own command replies, and for the
+  // chats it DMs teachers in. Commands are always on, so it's always needed.
+  if (config.botUserId === undefined || config.botUserId === null)
+    check.error('botUserId', 'must be set, so the bot doesn\'t answer its own messages');
+  else
+    check.userId('botUserId', config.botUserId);
+
+  if (check.array('classes', config.classes, 1)) {
+    config.classes.forEach((tafeClass, index) => checkClass(check, `classes[${index}]`, tafeClass, baseDir));
+
+    // A meeting is matched to the first class with its channel, so a channel in two classes never matches the second.
+    const seen = {};
+    config.classes.forEach((tafeClass, index) => {
+      for (const channel of (tafeClass && Array.isArray(tafeClass.channels)) ? tafeClass.channels : []) {
+        if (channel in seen && seen[channel] !== index)
+          check.error(`classes[${index}].channels`, `has ${channel}, which is already a channel of classes[${seen[channel]}]`);
+        else
+          seen[channel] = index;
+      }
+    });
+
+    const titles = config.classes.map((tafeClass) => tafeClass && tafeClass.title);
+    titles.forEach((title, index) => {
+      if (title && titles.indexOf(title) !== index)
+        check.error(`classes[${index}].title`, `is the same as classes[${titles.indexOf(title)}]'s, titles must be different`, title);
+    });
+
+    if (!config.targets && !config.groupChatChannel && config.classes.some((tafeClass) => tafeClass && !tafeClass.targets))
+      check.error('groupChatChannel', 'must be set, or targets for every class');
+  }
+
+  check.optional('reminders', config.reminders, check.reminders);
+
+  if (check.optional('commands', config.commands, check.object)) {
+    check.optional('commands.prefix', config.commands.prefix, check.string);
+    check.optional('commands.channels', config.commands.channels, check.threadIds);
+    check.optional('commands.teachersOnly', config.commands.teachersOnly, check.array);
+
+    if (check.optional('commands.rateLimit', config.commands.rateLimit, check.object)) {
+      check.optional('commands.rateLimit.count', config.commands.rateLimit.count, check.integer, 1);
+      check.optional('commands.rateLimit.period', config.commands.rateLimit.period, check.integer, 1);
+    }
+  }
+
+  if (check.optional('attendance', config.attendance, check.object)) {
+    check.optional('attendance.minDuration', config.attendance.minDuration, check.integer, 0);
+
+    if (check.optional('attendance.summary', config.attendance.summary, check.object)) {
+      check.time('attendance.summary', config.attendance.summary);
+      check.optional('attendance.summary.channels', config.attendance.summary.channels, check.threadIds);
+    }
+  }
+
+  // The course week is worked out from the calendar, or from courseStart for configs from before calendars.
+  if (config.calendar === undefined) {
+    if (config.courseStart === undefined)
+      check.error('calendar', 'must be set, or courseStart');
+    else if (typeof config.courseStart !== 'number')
+      check.date('courseStart', config.courseStart);
+    else
+      check.integer('courseStart', config.courseStart, 1);
+  }
+
+  if (check.optional('calendar', config.calendar, check.object)) {
+    check.optional('calendar.timezone', config.calendar.timezone, check.timezone);
+
+    if (check.array('calendar.terms', config.calendar.terms, 1)) {
+      config.calendar.terms.forEach((term, index) => {
+        if (check.object(`calendar.terms[${index}]`, term)) {
+          check.date(`calendar.terms[${index}].start`, term.start);
+          check.optional(`calendar.terms[${index}].end`, term.end, check.date);
+        }
+      });
+    }
+
+    check.optional('calendar.breaks', config.calendar.breaks, (name, breaks) => {
+      if (check.array(name, breaks))
+        breaks.forEach((range, index) => check.range(`${name}[${index}]`, range));
+    });
+
+    check.optional('calendar.weekOffset', config.calendar.weekOffset, check.integer);
+  }
+
+  if (check.optional('plugins', config.plugins, check.object)) {
+    for (const [name, options] of Object.entries(config.plugins)) {
+      if (typeof options === 'boolean')
+        continue;
+
+      if (!check.object(`plugins.${name}`, options, 'must be true, false or the plugin\'s options'))
+        continue;
+
+      if (!BUILT_IN_PLUGINS.includes(name) && !options.path)
+        check.error(`plugins.${name}`, 'isn\'t built in, so must have a path');
+      else if (options.path && !fs.existsSync(path.resolve(baseDir, options.path)) && !fs.existsSync(path.resolve(baseDir, `${options.path}.js`)))
+        check.error(`plugins.${name}.path`, 'doesn\'t exist', options.path);
+    }
+
+    if (config.plugins.admin)
+      check.string('plugins.admin.token', config.plugins.admin.token);
+  }
+
+  if (check.optional('state', config.state, check.object)) {
+    check.optional('state.file', config.state.file, check.string);
+    check.optional('state.maxAge', config.state.maxAge, check.integer, 0);
+  }
+
+  if (check.optional('journal', config.journal, check.object)) {
+    check.optional('journal.dir', config.journal.dir, check.string);
+    check.optional('journal.maxSize', config.journal.maxSize, check.integer, 1);
+    check.optional('journal.maxFiles', config.journal.maxFiles, check.integer, 0);
+  }
+
+  return errors;
+}
+
+function checkClass(check, name, tafeClass, baseDir) {
+  if (!check.object(name, tafeClass))
+    return;
+
+  check.string(`${name}.title`, tafeClass.title);
+  check.threadIds(`${name}.channels`, tafeClass.channels, 1);
+  check.optional(`${name}.timezone`, tafeClass.timezone, check.timezone);
+  check.optional(`${name}.exclude`, tafeClass.exclude, check.excludeList);
+  check.optional(`${name}.targets`, tafeClass.targets, check.targets);
+  check.optional(`${name}.templates`, tafeClass.templates, (templatesName, templates) => check.templates(templatesName, templates, baseDir));
+  check.optional(`${name}.reminders`, tafeClass.reminders, check.reminders);
+
+  if (tafeClass.sessions !== undefined) {
+    if (check.array(`${name}.sessions`, tafeClass.sessions, 1))
+      tafeClass.sessions.forEach((session, index) => check.session(`${name}.sessions[${index}]`, session));
+  } else if (tafeClass.start !== undefined) {
+    check.session(`${name}.start`, tafeClass.start);
+  } else {
+    check.error(name, 'must have a start or sessions');
+  }
+}
+
+/*
+Checks values, adding what's wrong with them to the errors. Each check is given the value's name in the config, for
+the error messages, and returns whether the value is valid.
+*/
+class Checker {
+  _errors;
+
+  constructor(errors) {
+    this._errors = errors;
+
+    // The checks are passed around as functions.
+    for (const method of Object.getOwnPropertyNames(Checker.prototype)) {
+      if (method !== 'constructor' && !method.startsWith('_'))
+        this[method] = this[method].bind(this);
+    }
+  }
+
+  error(name, message, value) {
+    this._errors.push(`${name} ${message}${value === undefined ? '' : `, got ${JSON.stringify(value)}`}`);
+    return false;
+  }
+
+  // Check a value if it's set.
+  optional(name, value, check, ...args) {
+    return value !== undefined && value !== null && check(name, value, ...args);
+  }
+
+  object(name, value, message = 'must be an object') {
+    return (value && typeof value === 'object' && !Array.isArray(value)) ? true : this.error(name, message, value);
+  }
+
+  array(name, value, min = 0) {
+    if (!Array.isArray(value))
+      return this.error(name, 'must be a list', value);
+
+    return value.length >= min ? true : this.error(name, `must have at least ${min} item(s)`);
+  }
+
+  string(name, value) {
+    return (typeof value === 'string' && value.trim()) ? true : this.error(name, 'must be a non-empty string', value);
+  }
+
+  integer(name, value, min = -Infinity, max = Infinity) {
+    if (Number.isInteger(value) && value >= min && value <= max)
+      return true;
+
+    const range = max === Infinity ? (min === -Infinity ? '' : ` of at least ${min}`) : ` from ${min} to ${max}`;
+    return this.error(name, `must be a whole number${range}`, value);
+  }
+
+  date(name, value) {
+    return (typeof value === 'string' && DATE.test(value) && !isNaN(Date.parse(value)))
+      ? true
+      : this.error(name, 'must be a date, YYYY-MM-DD', value);
+  }
+
+  range(name, value) {
+    if (!this.object(name, value, 'must be {from, until}'))
+      return false;
+
+    const valid = this.date(`${name}.from`, value.from) && this.date(`${name}.until`, value.until);
+    return valid && value.from > value.until ? this.error(name, 'ends before it starts', value) : valid;
+  }
+
+  excludeList(name, value) {
+    if (!this.array(name, value))
+      return false;
+
+    return value.every((item, index) => typeof item === 'string' ? this.date(`${name}[${index}]`, item) : this.range(`${name}[${index}]`, item));
+  }
+
+  timezone(name, value) {
+    try {
+      new Intl.DateTimeFormat('en-AU', {timeZone: value});
+      return this.string(name, value);
+    } catch (error) {
+      return this.error(name, 'must be an IANA timezone, e.g. Australia/Sydney', value);
+    }
+  }
+
+  userId(name, value) {
+    return (typeof value === 'string' && USER_ID.test(value))
+      ? true
+      : this.error(name, 'must be a user ID, e.g. 8f8a1b2c-...', value);
+  }
+
+  threadId(name, value) {
+    return (typeof value === 'string' && THREAD_ID.test(value))
+      ? true
+      : this.error(name, 'must be a chat or channel ID, e.g. 19:abc123@thread.tacv2', value);
+  }
+
+  threadIds(name, value, min = 0) {
+    return this.array(name, value, min) && value.every((item, index) => this.threadId(`${name}[${index}]`, item));
+  }
+
+  // Day, hour and minutes, for a class session or the attendance summary.
+  time(name, value) {
+    const valid = [
+      this.integer(`${name}.day`, value.day, 0, 6),
+      this.integer(`${name}.hour`, value.hour, 0, 23),
+      value.mins === undefined || this.integer(`${name}.mins`, value.mins, 0, 59)
+    ];
+
+    return valid.every((item) => item);
+  }
+
+  session(name, value) {
+    if (!this.object(name, value, 'must be {day, hour, mins}') || !this.time(name, value))
+      return false;
+
+    if (typeof value.window === 'object' && value.window) {
+      this.optional(`${name}.window.before`, value.window.before, this.integer, 0, 24 * 60);
+      this.optional(`${name}.window.after`, value.window.after, this.integer, 0, 24 * 60);
+    } else {
+      this.optional(`${name}.window`, value.window, this.integer, 0, 24 * 60);
+    }
+
+    this.optional(`${name}.every`, value.every, this.integer, 1);
+    this.optional(`${name}.from`, value.from, this.date);
+    this.optional(`${name}.until`, value.until, this.date);
+    this.optional(`${name}.exclude`, value.exclude, this.excludeList);
+
+    return true;
+  }
+
+  targets(name, value) {
+    if (!this.array(name, value, 1))
+      return false;
+
+    return value.every((target, index) => {
+      const targetName = `${name}[${index}]`;
+
+      if (typeof target === 'string')
+        return target === MEETING_CHANNEL || this.threadId(targetName, target);
+
+      if (!this.object(targetName, target, 'must be a chat or channel ID, or {channel, ...}'))
+        return false;
+
+      if (target.channel !== MEETING_CHANNEL)
+        this.threadId(`${targetName}.channel`, target.channel);
+
+      this.optional(`${targetName}.mentions`, target.mentions, this.array);
+
+      if (target.summary !== undefined && !SUMMARY_TYPES.includes(target.summary))
+        this.error(`${targetName}.summary`, `must be one of ${SUMMARY_TYPES.join(', ')}`, target.summary);
+
+      return true;
+    });
+  }
+
+  templates(name, value, baseDir) {
+    if (!this.object(name, value))
+      return false;
+
+    for (const [templateName, template] of Object.entries(value)) {
+      if (typeof template === 'string')
+        continue;
+
+      if (!template || typeof template.file !== 'string')
+        this.error(`${name}.${templateName}`, 'must be the template or {file}', template);
+      else if (!fs.existsSync(path.resolve(baseDir, template.file)))
+        this.error(`${name}.${templateName}.file`, 'doesn\'t exist', template.file);
+    }
+
+    return true;
+  }
+
+  reminders(name, value) {
+    if (!this.object(name, value))
+      return false;
+
+    this.optional(`${name}.before`, value.before, this.integer, 0);
+    this.optional(`${name}.lateAfter`, value.lateAfter, this.integer, 0);
+    this.optional(`${name}.channels`, value.channels, this.threadIds);
+    return true;
+  }
+}
+
+/**
+ * Watch the config file, and check it each time it changes.
+ * 
+ * @param {string} filePath
+ * @param {function} onChange Called with the new config when it's changed and is valid.
+ * @param {function} onError  Called with a ConfigError when it's changed and isn't valid, or an Error if watching
+ *                            fails.
+ * 
+ * @returns {fs.FSWatcher} Close it to stop watching.
+ */
+function watchConfig(filePath, onChange, onError) {
+  let timer;
+
+  // The directory is watched rather than the file, as editors often save by replacing the file. Saving can also
+  // raise several events, so wait for them to stop.
+  const watcher = fs.watch(path.dirname(filePath), (event, fileName) => {
+    if (fileName !== path.basename(filePath))
+      return;
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      let config;
+
+      try {
+        config = loadConfig(filePath);
+      } catch (error) {
+        return onError(error);
+      }
+
+      onChange(config);
+    }, 500);
+  });
+
+  // The directory can go away or become unreadable, which is reported rather than crashing the bot.
+  watcher.on('error', (error) => onError(error));
+  watcher.on('close', () => clearTimeout(timer));
+  return watcher;
+}
+
+/**
+ * Apply the reloadable parts of a new config to the config in use. The config is changed in place, as it's shared by
+ * everything which uses it.
+ * 
+ * @param {object} config    The config in use.
+ * @param {object} newConfig
+ * 
+ * @returns {object} {changed: string[], restart: string[]} The settings which were changed, and the settings which
+ *                   were changed but need a restart to take effect.
+ */
+function applyConfig(config, newConfig) {
+  const changed = [];
+  const restart = [];
+
+  for (const key of new Set(Object.keys(config).concat(Object.keys(newConfig)))) {
+    if (JSON.stringify(config[key]) === JSON.stringify(newConfig[key]))
+      continue;
+
+    if (!RELOADABLE.includes(key)) {
+      restart.push(key);
+      continue;
+    }
+
+    if (key in newConfig)
+      config[key] = newConfig[key];
+    else
+      delete config[key];
+
+    changed.push(key);
+  }
+
+  return {changed, restart};
+}
+
+/**
+ * Describe which class each channel belongs to, and where each class's messages are posted, for checking a config.
+ * 
+ * @param {object} config A valid config.
+ * 
+ * @returns {string[]} Lines to print.
+ */
+function describeConfig(config) {
+  const lines = [];
+
+  for (const tafeClass of config.classes) {
+    for (const channel of tafeClass.channels)
+      lines.push(`${channel} -> ${tafeClass.title}`);
+  }
+
+  lines.push('');
+
+  for (const tafeClass of config.classes) {
+    const targets = (tafeClass.targets ?? config.targets ?? [config.groupChatChannel])
+      .map((target) => typeof target === 'string' ? target : target.channel)
+      .map((channel) => channel === MEETING_CHANNEL ? 'the meeting\'s channel' : channel);
+
+    lines.push(`${tafeClass.title} is announced in ${targets.join(', ')}`);
+  }
+
+  return lines;
+}
+
+module.exports = { loadConfig, validateConfig, watchConfig, applyConfig, describeConfig, ConfigError, RELOADABLE };
@@ -0,0 +1,245 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+
+/*
+A fake Teams DevTools server. It serves /json/list with a precompiled shared worker target and accepts DevTools
+WebSocket connections to it, so a TeamsClient can connect to it without Teams running. Trouter frames are pushed to
+connected clients as Network.webSocketFrameReceived events, either built from a message body or replayed from
+recorded fixtures. Runtime.evaluate token requests are answered with the configured tokens.
+*/
+
+class FakeDevTools extends EventEmitter {
+  _server;
+  _wss;
+  _port;
+  _targetId = 1;
+  _tokens;
+  _frameId = 1;
+
+  /**
+   * @param {object} options
+   * @param {object} options.tokens The tokens to answer acquireTokenV2 with, keyed by resource. Tokens not listed are
+   *                                generated.
+   */
+  constructor(options = {}) {
+    super();
+    this._tokens = options.tokens ?? {};
+  }
+
+  /**
+   * Start listening on localhost.
+   * 
+   * @param {number} port Port to listen on, a free port is used if not given.
+   * 
+   * @returns {Promise<number>} The port the server is listening on.
+   */
+  start(port = 0) {
+    this._server = http.createServer(this._handleRequest.bind(this));
+    this._wss = new WebSocket.Server({server: this._server});
+    this._wss.on('connection', this._handleConnection.bind(this));
+
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, 'localhost', () => {
+        this._port = this._server.address().port;
+        resolve(this._port);
+      });
+    });
+  }
+
+  /**
+   * Close all connections and stop listening.
+   * 
+   * @returns {Promise}
+   */
+  stop() {
+    for (const client of this._wss.clients)
+      client.terminate();
+
+    return new Promise((resolve) => this._wss.close(() => this._server.close(() => resolve())));
+  }
+
+  get port() {
+    return this._port;
+  }
+
+  /**
+   * The DevTools WebSocket URL of the shared worker target.
+   * 
+   * @returns {string}
+   */
+  get workerUrl() {
+    return `ws://localhost:${this._port}/devtools/page/worker-${this._targetId}`;
+  }
+
+  /**
+   * Simulate Teams reloading the shared worker: connected clients are dropped and the worker gets a new target ID.
+   */
+  reloadWorker() {
+    this._targetId++;
+
+    for (const client of this._wss.clients)
+      client.terminate();
+  }
+
+  /**
+   * Send a trouter message to connected clients, wrapped the way Teams frames them.
+   * 
+   * @param {object} body The message, e.g. {resourceType: 'NewMessage', resource: {...}}.
+   */
+  sendMessage(body) {
+    const frame = {
+      id: this._frameId++,
+      method: 'POST',
+      url: '/v4/f/fake/messaging',
+      headers: {},
+      body: JSON.stringify(body)
+    };
+
+    this.sendFrame(`3:::${JSON.stringify(frame)}`);
+  }
+
+  /**
+   * Send a raw trouter frame to connected clients.
+   * 
+   * @param {string} payloadData The data of the WebSocket frame.
+   */
+  sendFrame(payloadData) {
+    this.sendEvent({
+      method: 'Network.webSocketFrameReceived',
+      params: {
+        requestId: 'fake.1',
+        timestamp: Date.now() / 1000,
+        response: {opcode: 1, mask: false, payloadData}
+      }
+    });
+  }
+
+  /**
+   * Send a DevTools event to connected clients.
+   * 
+   * @param {object} event
+   */
+  sendEvent(event) {
+    const data = JSON.stringify(event);
+
+    for (const client of this._wss.clients) {
+      if (client.readyState === WebSocket.OPEN)
+        client.send(data);
+    }
+  }
+
+  /**
+   * Replay recorded DevTools events. Each entry is a recorded Network.webSocketFrameReceived event, optionally with a
+   * delay in ms to wait before sending it.
+   * 
+   * @param {object[]} events  The recorded events.
+   * @param {object} options
+   * @param {boolean} options.retime Replace the times in the messages with the current time, so the client doesn't
+   *                                 treat them as old. Defaults to true.
+   * 
+   * @returns {Promise} Resolves once every event has been sent.
+   */
+  replay(events, options = {}) {
+    const retime = options.retime ?? true;
+
+    return events.reduce((previous, entry) => previous.then(() => new Promise((resolve) => {
+      setTimeout(() => {
+        const event = Object.assign({}, entry);
+        delete event.delay;
+
+        this.sendEvent(retime ? retimeEvent(event) : event);
+        resolve();
+      }, entry.delay ?? 0);
+    })), Promise.resolve());
+  }
+
+  _handleRequest(request, response) {
+    if (request.url !== '/json/list' && request.url !== '/json') {
+      response.statusCode = 404;
+      return response.end();
+    }
+
+    const targets = [
+      {
+        id: 'page-1',
+        type: 'page',
+        title: 'Microsoft Teams',
+        url: 'https://teams.microsoft.com/_#/conversations',
+        webSocketDebuggerUrl: `ws://localhost:${this._port}/devtools/page/page-1`
+      },
+      {
+        id: `worker-${this._targetId}`,
+        type: 'shared_worker',
+        title: 'precompiled-shared-worker',
+        url: 'https://teams.microsoft.com/precompiled-shared-worker.js',
+        webSocketDebuggerUrl: this.workerUrl
+      }
+    ];
+
+    response.setHeader('Content-Type', 'application/json; charset=UTF-8');
+    response.end(JSON.stringify(targets));
+  }
+
+  _handleConnection(socket, request) {
+    // Only the current worker target can be connected to, like a reloaded worker in Teams.
+    if (request.url !== `/devtools/page/worker-${this._targetId}`)
+      return socket.close();
+
+    socket.on('message', (data) => {
+      const command = JSON.parse(data.toString());
+      this.emit('command', command);
+
+      socket.send(JSON.stringify({id: command.id, result: this._evaluate(command)}));
+    });
+
+    this.emit('connection');
+  }
+
+  // Answer a DevTools command.
+  _evaluate(command) {
+    if (command.method !== 'Runtime.evaluate')
+      return {};
+
+    const tokenMatch = command.params.expression.match(/acquireTokenV2\('([^']+)'\)/);
+    if (tokenMatch) {
+      const resource = tokenMatch[1];
+      const token = this._tokens[resource] ?? {token: `fake-token-${resource}`, expires: Math.floor(Date.now() / 1000) + 3600};
+      return {result: {type: 'object', value: token}};
+    }
+
+    return {result: {type: 'number', value: 1, description: '1'}};
+  }
+}
+
+// Set the time of a recorded message to now.
+function retimeEvent(event) {
+  if (event.method !== 'Network.webSocketFrameReceived')
+    return event;
+
+  const payloadData = event.params.response.payloadData;
+  const match = payloadData.match(/^(3:[^:]*:[^:]*:)(\{.*)$/s);
+  if (!match)
+    return event;
+
+  const frame = JSON.parse(match[2]);
+  if (!frame.body)
+    return event;
+
+  const body = JSON.parse(frame.body);
+  const now = new Date().toISOString();
+  body.time = now;
+  if (body.resource && body.resource.composetime)
+    body.resource.composetime = now;
+
+  frame.body = JSON.stringify(body);
+
+  return Object.assign({}, event, {
+    params: Object.assign({}, event.params, {
+      response: Object.assign({}, event.params.response, {payloadData: match[1] + JSON.stringify(frame)})
+    })
+  });
+}
+
+module.exports = { FakeDevTools };
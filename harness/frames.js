@@ -0,0 +1,103 @@
+/*
+Builders for the trouter messages Teams sends, in the shape TeamsClient._processMessage receives them. Pass the
+result to FakeDevTools.sendMessage. A meeting in a channel is three messages: the call starting, an update to the
+call message with the meeting details, and a call message with the participants once the meeting ends.
+*/
+
+const CONTACTS_URL = 'https://apac.ng.msg.teams.microsoft.com/v1/users/ME/contacts';
+
+/**
+ * The call message posted in a channel when a meeting starts.
+ * 
+ * @param {object} meeting {messageId, meetingId, channelId, organizerId}
+ * 
+ * @returns {object}
+ */
+function callStarted(meeting) {
+  return {
+    time: new Date().toISOString(),
+    type: 'EventMessage',
+    resourceType: 'NewMessage',
+    resource: {
+      id: meeting.messageId,
+      messagetype: 'Event/Call',
+      content: `<partlist alt ="" type="started"><part identity="${meeting.organizerId}"><name>${meeting.organizerId}</name></part></partlist>`,
+      skypeguid: meeting.meetingId,
+      to: meeting.channelId,
+      from: `${CONTACTS_URL}/8:orgid:${meeting.organizerId}`,
+      composetime: new Date().toISOString(),
+      properties: {}
+    }
+  };
+}
+
+/**
+ * The update to the call message which adds the meeting details.
+ * 
+ * @param {object} meeting {messageId, meetingId, channelId, organizerId, title, joinUrl}
+ * 
+ * @returns {object}
+ */
+function callDetails(meeting) {
+  const message = callStarted(meeting);
+  message.resourceType = 'MessageUpdate';
+  message.resource.properties = {
+    meeting: JSON.stringify({
+      meetingtitle: meeting.title,
+      meetingJoinUrl: meeting.joinUrl,
+      organizerId: meeting.organizerId
+    })
+  };
+
+  return message;
+}
+
+/**
+ * The call message posted when everyone has left the meeting.
+ * 
+ * @param {object} meeting {messageId, meetingId, channelId, organizerId, participants: [{id, name, duration}]}
+ * 
+ * @returns {object}
+ */
+function callEnded(meeting) {
+  const parts = meeting.participants
+    .map((participant) => `<part identity="${participant.id}"><name>${participant.id}</name><displayName>${participant.name}</displayName><duration>${participant.duration}</duration></part>`)
+    .join('');
+
+  const message = callStarted(meeting);
+  message.resource.id = meeting.endMessageId ?? `${meeting.messageId}1`;
+  message.resource.content = `<ended/><partlist type="ended" alt ="">${parts}</partlist>`;
+
+  return message;
+}
+
+/**
+ * A chat or channel message.
+ * 
+ * @param {object} message {id, clientMessageId, channelId, from, displayName, content, threadType, threadTopic}
+ * 
+ * @returns {object}
+ */
+function chatMessage(message) {
+  return {
+    time: new Date().toISOString(),
+    type: 'EventMessage',
+    resourceType: 'NewMessage',
+    resource: {
+      id: message.id,
+      clientmessageid: message.clientMessageId,
+      messagetype: 'RichText/Html',
+      contenttype: 'text',
+      content: message.content,
+      imdisplayname: message.displayName,
+      from: `${CONTACTS_URL}/${message.from}`,
+      to: message.channelId,
+      threadtype: message.threadType ?? 'chat',
+      threadtopic: message.threadTopic,
+      composetime: new Date().toISOString(),
+      properties: {}
+    }
+  };
+}
+
+module.exports = { callStarted, callDetails, callEnded, chatMessage };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { attach, events } = require('../teams');
+const { MemoryStore } = require('../store');
+const { FakeDevTools } = require('./devtools');
+const { StubServices } = require('./services');
+const frames = require('./frames');
+
+/*
+Offline harness for running the bot against fakes instead of Teams. createHarness starts a fake DevTools server and
+stub web services, and attaches a TeamsClient to them:
+
+  const harness = await createHarness();
+  harness.client.on(events.NEW_MEETING, ...);
+  await harness.devtools.replay(loadFixture('class-session'));
+  harness.services.requests    // what the client sent
+  await harness.stop();
+*/
+
+/**
+ * Start the fakes and connect a TeamsClient to them.
+ * 
+ * @param {object} options Options passed to the TeamsClient, e.g. a store.
+ * 
+ * @returns {Promise<object>} {client, devtools, services, stop}
+ */
+function createHarness(options = {}) {
+  const devtools = new FakeDevTools();
+  const services = new StubServices({devtools});
+
+  return Promise.all([devtools.start(), services.start()])
+    // Attach the same way the bot attaches to a running Teams.
+    .then(() => attach(devtools.port, Object.assign({
+      store: new MemoryStore(),
+      authUrl: services.authUrl,
+      chatServiceUrl: services.chatServiceUrl,
+      sendInterval: 0
+    }, options)))
+    .then((client) => {
+      // Wait for the client to connect before handing it over, so frames sent straight away aren't missed.
+      return new Promise((resolve) => client.once(events.CONNECTED, resolve))
+        .then(() => ({
+          client,
+          devtools,
+          services,
+          stop: () => {
+            client.close();
+            return Promise.all([devtools.stop(), services.stop()]);
+          }
+        }));
+    });
+}
+
+/**
+ * Load recorded DevTools events from the fixtures directory.
+ * 
+ * @param {string} name Name of the fixture, without the extension.
+ * 
+ * @returns {object[]}
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf-8'));
+}
+
+module.exports = { createHarness, loadFixture, FakeDevTools, StubServices, frames };
@@ -0,0 +1,229 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const frames = require('./frames');
+
+/*
+Stub Teams web services: the auth service which issues Skype tokens and the messaging service. Point a TeamsClient at
+it with the authUrl and chatServiceUrl options. Every request is recorded in `requests`. Sent messages are kept so
+they can be read, edited and listed, and if a FakeDevTools is given, sent messages are echoed back over trouter like
+Teams does, so the bot sees its own messages as NEW_MESSAGE events. Messages sent by others can be added to `messages`
+with addMessage, and the details of chats returned by getConversation can be set in `threads`.
+*/
+
+class StubServices extends EventEmitter {
+  _server;
+  _port;
+  _devtools;
+  _messageId = 1000;
+
+  userId;
+  requests = [];
+  messages = {};
+  threads = {};
+
+  // Responses to use instead of the stub's own, see respondWith.
+  _overrides = [];
+
+  /**
+   * @param {object} options
+   * @param {FakeDevTools} options.devtools DevTools server to echo sent messages through.
+   * @param {string} options.userId        ID of the bot's user, used as the sender of echoed messages.
+   */
+  constructor(options = {}) {
+    super();
+    this._devtools = options.devtools;
+    this.userId = options.userId ?? '8:orgid:00000000-0000-0000-0000-000000000b07';
+  }
+
+  /**
+   * @param {number} port Port to listen on, a free port is used if not given.
+   * 
+   * @returns {Promise<number>}
+   */
+  start(port = 0) {
+    this._server = http.createServer(this._handleRequest.bind(this));
+
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, 'localhost', () => {
+        this._port = this._server.address().port;
+        resolve(this._port);
+      });
+    });
+  }
+
+  /**
+   * @returns {Promise}
+   */
+  stop() {
+    return new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  get authUrl() {
+    return `http://localhost:${this._port}/api/authsvc/v1.0/authz`;
+  }
+
+  get chatServiceUrl() {
+    return `http://localhost:${this._port}`;
+  }
+
+  /**
+   * Respond to the next matching request with a canned response instead, e.g. to test error handling.
+   * 
+   * @param {function} match    Called with (method, path), returns true if the response should be used.
+   * @param {object} response   {status, headers, body}
+   */
+  respondWith(match, response) {
+    this._overrides.push({match, response});
+  }
+
+  /**
+   * Add a message to a conversation's history, in the shape the messaging API returns, e.g. from frames.
+   * 
+   * @param {object} message  The message resource.
+   */
+  addMessage(message) {
+    this.messages[message.id] = Object.assign({
+      originalarrivaltime: message.composetime ?? new Date().toISOString(),
+      conversationid: message.to,
+      properties: {}
+    }, message);
+  }
+
+  _handleRequest(request, response) {
+    let raw = '';
+    request.setEncoding('utf-8');
+    request.on('data', (chunk) => raw += chunk);
+    request.on('end', () => {
+      const body = raw ? JSON.parse(raw) : undefined;
+      const url = new URL(request.url, this.chatServiceUrl);
+      const recorded = {method: request.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: request.headers, body};
+
+      this.requests.push(recorded);
+      this.emit('request', recorded);
+
+      const send = ({status = 200, headers = {}, body}) => {
+        response.writeHead(status, Object.assign({'Content-Type': 'application/json'}, headers));
+        response.end(body === undefined ? '' : JSON.stringify(body));
+      };
+
+      const override = this._overrides.findIndex(({match}) => match(request.method, url.pathname));
+      if (override >= 0)
+        return send(this._overrides.splice(override, 1)[0].response);
+
+      send(this._route(request.method, url.pathname, body, url.searchParams));
+    });
+  }
+
+  _route(method, path, body, query) {
+    if (method === 'POST' && path === '/api/authsvc/v1.0/authz') {
+      return {body: {
+        tokens: {skypeToken: 'fake-skype-token', expiresIn: 86400},
+        region: 'fake',
+        regionGtms: {chatService: this.chatServiceUrl}
+      }};
+    }
+
+    const thread = path.match(/^\/v1\/threads\/([^/]+)$/);
+    if (method === 'GET' && thread) {
+      const id = decodeURIComponent(thread[1]);
+      const details = this.threads[id];
+      return details ? {body: Object.assign({id}, details)} : {status: 404, body: {message: 'Thread not found'}};
+    }
+
+    const messages = path.match(/^\/v1\/users\/ME\/conversations\/([^/]+)\/messages(?:\/([^/]+))?(\/properties)?$/);
+    if (!messages)
+      return {status: 404, body: {message: 'Not found'}};
+
+    const [, conversationId, messageId, properties] = messages.map((part) => part && decodeURIComponent(part));
+
+    // Replies in a channel thread are sent to the channel with the ID of the thread's first message.
+    const [channelId, replyTo] = conversationId.split(';messageid=');
+
+    if (method === 'POST' && !messageId) {
+      const id = String(this._messageId++);
+      const arrival = Date.now();
+      this.messages[id] = Object.assign({id, conversationid: channelId, from: this.userId, originalarrivaltime: new Date(arrival).toISOString(), properties: {}}, body);
+      if (replyTo)
+        this.messages[id].rootMessageId = replyTo;
+
+      // Teams tells every client, including the sender, about the new message.
+      if (this._devtools) {
+        setTimeout(() => this._devtools.sendMessage(frames.chatMessage({
+          id,
+          clientMessageId: body.clientmessageid,
+          channelId,
+          from: this.userId,
+          displayName: body.imdisplayname,
+          content: body.content
+        })), 10);
+      }
+
+      return {status: 201, body: {OriginalArrivalTime: arrival}};
+    }
+
+    if (method === 'GET' && !messageId)
+      return {body: this._page(channelId, query)};
+
+    const message = this.messages[messageId];
+    if (!message)
+      return {status: 404, body: {message: 'Message not found'}};
+
+    if (method === 'GET' && !properties)
+      return {body: message};
+
+    if (method === 'PUT' && !properties) {
+      Object.assign(message, body);
+      return {body: {}};
+    }
+
+    // Deleted messages are kept, with the time they were deleted, like Teams does.
+    if (method === 'DELETE' && !properties) {
+      message.properties.deletetime = Date.now();
+      return {body: {}};
+    }
+
+    if (properties && body && body.emotions) {
+      const emotions = JSON.parse(message.properties.emotions ?? '[]');
+      let emotion = emotions.find((candidate) => candidate.key === body.emotions.key);
+
+      if (!emotion) {
+        emotion = {key: body.emotions.key, users: []};
+        emotions.push(emotion);
+      }
+
+      emotion.users = emotion.users.filter((user) => user.mri !== this.userId);
+      if (method === 'PUT')
+        emotion.users.push({mri: this.userId, time: Date.now(), value: String(body.emotions.value)});
+
+      message.properties.emotions = JSON.stringify(emotions.filter((candidate) => candidate.users.length));
+      return {body: {}};
+    }
+
+    return {status: 405, body: {message: 'Method not allowed'}};
+  }
+
+  // A page of a conversation's messages, newest first, with a link to the page before it like the messaging API.
+  _page(channelId, query) {
+    const pageSize = parseInt(query.get('pageSize') ?? '200');
+    const startTime = parseInt(query.get('startTime') ?? '0');
+    const offset = parseInt(query.get('offset') ?? '0');
+    const path = `/v1/users/ME/conversations/${encodeURIComponent(channelId)}/messages`;
+
+    const all = Object.values(this.messages)
+      .filter((message) => message.conversationid === channelId && Date.parse(message.originalarrivaltime) > startTime)
+      .sort((a, b) => Date.parse(b.originalarrivaltime) - Date.parse(a.originalarrivaltime));
+
+    return {
+      messages: all.slice(offset, offset + pageSize),
+      _metadata: {
+        syncState: `${this.chatServiceUrl}${path}?pageSize=${pageSize}&startTime=${Date.now()}`,
+        backwardLink: offset + pageSize < all.length
+          ? `${this.chatServiceUrl}${path}?pageSize=${pageSize}&startTime=${startTime}&offset=${offset + pageSize}`
+          : ''
+      }
+    };
+  }
+}
+
+module.exports = { StubServices };
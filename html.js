@@ -0,0 +1,41 @@
+/*
+Helpers for the HTML content of Teams messages, shared by the client, the templates and the commands.
+*/
+
+/**
+ * Escape a string for use in HTML content or attributes.
+ * 
+ * @param {string} value
+ * 
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert the HTML content of a message to plain text.
+ * 
+ * @param {string} html
+ * 
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { escapeHtml, htmlToText };
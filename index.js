@@ -1,135 +1,223 @@
+const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const config = require('./config.json');
 const teams = require("./teams");
+const { MemoryStore, JsonFileStore } = require('./store');
+const schedule = require('./schedule');
+const calendar = require('./calendar');
+const { Templates } = require('./templates');
+const { escapeHtml } = require('./html');
+const { CommandRouter } = require('./commands');
+const { PluginHost, defaultPlugins } = require('./plugins');
+const { Journal, ReplayClient, readJournal } = require('./journal');
+const { loadConfig, watchConfig, applyConfig, describeConfig, ConfigError } = require('./config');
+
+const CONFIG_FILE = path.join(__dirname, 'config.json');
+const templates = new Templates(path.join(__dirname, 'templates'), __dirname);
+
+// Replay journals offline instead of connecting to Teams, oldest first:
+// node index.js --replay journal/journal.1.jsonl,journal/journal.jsonl [--speed 10]
+// Check the config without connecting: node index.js --check-config
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const replaying = !!option('replay');
+
+let config;
+try {
+  config = loadConfig(CONFIG_FILE);
+} catch (error) {
+  console.error(error instanceof ConfigError ? error.message : error);
+  process.exit(1);
+}
 
-const exePath = path.isAbsolute(config.teams.app) ? config.teams.app : path.join(os.homedir(), config.teams.app);
+if (args.includes('--check-config')) {
+  console.log(`${CONFIG_FILE} is valid\n`);
+  console.log(describeConfig(config).join('\n'));
+  process.exit(0);
+}
 
 (async () => {
-  teamsClient = await teams.connect(exePath, config.teams.debugPort);
-
-  const meetingMessages = {};
-
-  // When a teacher starts a class, post a message in chat with the meeting link.
-  teamsClient.on(teams.events.NEW_MEETING, async (meeting) => {
-    // Ignore the meeting if it wasn't created by a teacher.
-    if (!config.teachers.some(teacher => meeting.startedBy == teacher))
-      return;
-
-    // Find the class which runs in the channel the meeting was started in.
-    channelClass = config.classes.find(tafeClass => tafeClass.channels.indexOf(meeting.channel.id) >= 0);
-
-    // Ignore the meeting if there is no class in this channel.
-    if (!channelClass)
-      return;
-
-    const now = new Date();
-    // Ignore the meeting if the class isn't scheduled to run today.
-    if (channelClass.start.day !== now.getDay())
-      return;
-
-
-    const classStarts = new Date(now);
-    // No classes near midnight so idc about day.
-    classStarts.setHours(channelClass.start.hour)
-    classStarts.setMinutes(channelClass.start.mins);
-    classStarts.setSeconds(0);
-    classStarts.setMilliseconds(0);
-
-    // If the class doesn't start 30mins before/after now, ignore meeting.
-    if (Math.abs(now.getTime() - classStarts.getTime()) > 30 * 60 * 1000)
-      return;
-
-    // If all checks passed, tell group chat that the class has started.
-    let message = `<h1>${channelClass.title} class is now meeting</h1>`;
-    message += `<p style="font-size:x-large;"><a href="${meeting.joinUrl}">Join Here</a></p>`;
-    message += getBotByline(config.repoUrl);
-
-    try {
-      const messageData = await teamsClient.sendMessage(config.groupChatChannel, message);
-
-      // Record the meeting details, the class details, and the clientMessageId.
-      meetingMessages[messageData.clientMessageId] = {
-        class: channelClass,
-        meeting
-      };
-    } catch (error) {
-      console.error("Sending meeting message failed", error);
+  // Meeting messages and meetings in progress are kept in the state file so a restart mid-class doesn't lose them.
+  // Replays start from nothing and don't touch the state file.
+  const stateConfig = config.state ?? {};
+  const store = replaying
+    ? new MemoryStore()
+    : new JsonFileStore(path.resolve(__dirname, stateConfig.file ?? 'state.json'), {
+      maxAge: stateConfig.maxAge ?? 24 * 60 * 60,
+      // Teachers' names are refreshed by the meetings plugin, they're kept so they're there straight after a restart.
+      persistent: ['teachers']
+    });
+  await store.load();
+
+  const clientOptions = {
+    store,
+    chatServiceUrl: config.teams.chatServiceUrl,
+    authUrl: config.teams.authUrl,
+    timeout: config.teams.timeout,
+    retries: config.teams.retries,
+    sendInterval: config.teams.sendInterval,
+    startTimeout: config.teams.startTimeout
+  };
+
+  if (config.journal && !replaying) {
+    clientOptions.journal = new Journal(path.resolve(__dirname, config.journal.dir ?? 'journal'), {
+      maxSize: config.journal.maxSize,
+      maxFiles: config.journal.maxFiles,
+      redact: config.journal.redact
+    });
+  }
+
+  let teamsClient;
+  if (replaying) {
+    const entries = readJournal(...option('replay').split(','));
+    teamsClient = new ReplayClient(entries, Object.assign({speed: parseFloat(option('speed') ?? '0')}, clientOptions));
+  } else if (config.teams.attach) {
+    // Use Teams which is already running, either on the debug port or the given devtools address.
+    teamsClient = await teams.attach(config.teams.attach === true ? config.teams.debugPort : config.teams.attach, clientOptions);
+  } else {
+    const exePath = path.isAbsolute(config.teams.app) ? config.teams.app : path.join(os.homedir(), config.teams.app);
+    teamsClient = await teams.connect(exePath, config.teams.debugPort, clientOptions);
+  }
+
+  teamsClient.on(teams.events.DISCONNECTED, ({reason}) => {
+    console.error(`Lost connection to Teams (${reason}), reconnecting...`);
+  });
+
+  teamsClient.on(teams.events.RECONNECTED, ({attempts}) => {
+    console.log(`Reconnected to Teams after ${attempts} attempt(s)`);
+  });
+
+  const commandsConfig = config.commands ?? {};
+  const commands = new CommandRouter(teamsClient, {
+    prefix: commandsConfig.prefix,
+    botName: commandsConfig.botName,
+    teachers: config.teachers,
+    channels: commandsConfig.channels,
+    rateLimit: commandsConfig.rateLimit,
+    botUserId: config.botUserId
+  });
+  registerCommands(commands, store);
+
+  // Answer commands sent by anyone other than the bot, the router ignores the bot's own messages.
+  teamsClient.on(teams.events.NEW_MESSAGE, (message) => commands.handleMessage(message));
+
+  // The bot's behaviours, such as announcing classes, are plugins.
+  const plugins = new PluginHost({client: teamsClient, config, store, templates, commands, replaying}, __dirname);
+  await plugins.load(config.plugins ?? defaultPlugins(config));
+  await plugins.start();
+
+  // Classes, teachers and templates can be changed while the bot is running, without reconnecting to Teams.
+  const configWatcher = replaying ? null : watchConfig(CONFIG_FILE, (newConfig) => {
+    const { changed, restart } = applyConfig(config, newConfig);
+
+    commands.setTeachers(config.teachers);
+    templates.clearCache();
+
+    if (changed.length)
+      console.log(`Reloaded config: ${changed.join(', ')}`);
+    if (restart.length)
+      console.log(`Restart to apply changes to: ${restart.join(', ')}`);
+  }, (error) => console.error(`Not reloading config, ${error instanceof ConfigError ? error.message : error}`));
+
+  // Template files are read once, so forget them when they change.
+  const templatesWatcher = replaying ? null : fs.watch(path.join(__dirname, 'templates'), () => templates.clearCache());
+  if (templatesWatcher)
+    templatesWatcher.on('error', (error) => console.error('Watching templates failed', error));
+
+  // Plugins can register commands too, so commands are only restricted once they've all loaded.
+  for (const name of commandsConfig.teachersOnly ?? []) {
+    const command = commands.get(name);
+    if (command)
+      command.teachersOnly = true;
+  }
+
+  const shutdown = async () => {
+    if (configWatcher) {
+      configWatcher.close();
+      templatesWatcher.close();
+    }
+
+    await plugins.stop();
+    teamsClient.close();
+    await store.save();
+    process.exit(0);
+  };
+
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  if (replaying) {
+    const count = await teamsClient.replay();
+    console.log(`Replayed ${count} payload(s)`);
+
+    // Give the handlers of the last payloads time to finish.
+    setTimeout(shutdown, 1000);
+  }
+})();
+
+function registerCommands(commands, store) {
+  const scheduleDefaults = {timezone: config.timezone, exclude: config.exclude};
+
+  commands.register('next', {
+    description: 'When the next class is',
+    handler: ({reply}) => {
+      const next = config.classes
+        .map((tafeClass) => ({tafeClass, next: schedule.nextSession(tafeClass, new Date(), scheduleDefaults)}))
+        .filter(({next}) => !!next)
+        .sort((a, b) => a.next.start - b.next.start)[0];
+
+      if (!next)
+        return reply('<p>There are no classes coming up.</p>');
+
+      const when = next.next.start.toLocaleString('en-AU', {
+        timeZone: next.tafeClass.timezone ?? config.timezone,
+        weekday: 'long',
+        day: '2-digit',
+        month: '2-digit',
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+
+      return reply(`<p><strong>${escapeHtml(next.tafeClass.title)}</strong> is next, ${escapeHtml(when)}</p>`);
     }
   });
 
-  // Record messages sent by the bot.
-  teamsClient.on(teams.events.NEW_MESSAGE, (message) => {
-    if (message.clientMessageId in meetingMessages) {
-      const data = meetingMessages[message.clientMessageId];
-      delete meetingMessages[message.clientMessageId];
-      data.message = message;
-      meetingMessages[data.meeting.id] = data;
+  commands.register('week', {
+    description: 'The current course week',
+    handler: ({reply}) => {
+      const week = calendar.getCourseWeek(calendar.fromConfig(config), new Date());
+      return reply(week === null ? '<p>It\'s not a teaching week.</p>' : `<p>It's week ${week}.</p>`);
     }
   });
 
-  // When a class ends, update the meeting message with the details of the meeting.
-  teamsClient.on(teams.events.MEETING_ENDED, async (meeting) => {
-    if (meeting.id in meetingMessages) {
-      // Retrieve data stored previously.
-      const data = meetingMessages[meeting.id], now = new Date();
-      const day = now.toLocaleDateString('en-AU', {day: '2-digit'});
-      const month = now.toLocaleDateString('en-AU', {month: '2-digit'});
-      const chatUrl = `https://teams.microsoft.com/l/message/${meeting.channel.id}/${data.meeting.messageId}`;
-      const maxDuration = meeting.participants.reduce((max, participant) => Math.max(max, participant.duration), 0);
-      const meetingHrs = Math.floor(maxDuration / 3600);
-      const meetingMins = Math.floor((maxDuration % 3600) / 60);
-
-      const divider = '<span style="font-size:inherit;"> · </span>';
-      let message = `<h1><code class="skipProofing">WEEK${getCurrentCourseWeek(config.courseStart)}</code> ${data.class.title} Meeting</h1>`;
-      // Meeting date.
-      message += '<p><span contenteditable="false" title="Calendar" type="(1f4c5_calendar)" class="animated-emoticon-20-1f4c5_calendar">';
-      message += '<img itemscope itemtype="http://schema.skype.com/Emoji" itemid="1f4c5_calendar" src="https://statics.teams.cdn.office.net/evergreen-assets/personal-expressions/v2/assets/emoticons/1f4c5_calendar/default/20_f.png" title="Calendar" style="width:20px;height:20px;"></span>';
-      message += `<span style="font-size:inherit;"><strong>${day}</strong></span><span style="font-size:xx-small;"><strong>/${month}</strong></span>`;
-      message += divider;
-      // Meeting chat thread link.
-      message += `<a href="${chatUrl}"><span style="font-size:inherit;"><strong>Chat Thread</strong></span></a>`;
-      message += divider;
-      // Meeting number of participants.
-      message += '<span contenteditable="false" title="Student" type="(student)" class="animated-emoticon-20-student">';
-      message += '<img itemscope itemtype="http://schema.skype.com/Emoji" itemid="student" src="https://statics.teams.cdn.office.net/evergreen-assets/personal-expressions/v2/assets/emoticons/student/default/20_f.png" title="Student" style="width:20px;height:20px;"></span>';
-      message += `<span style="font-size:inherit;"><strong>${meeting.participants.length}</strong></span>`;
-
-      // Meeting duration.
-      if (meetingHrs || meetingMins) {
-        message += divider;
-        message += '<span contenteditable="false" title="Twelve oclock" type="(1f55b_twelveoclock)" class="animated-emoticon-20-1f55b_twelveoclock">';
-        message += '<img itemscope itemtype="http://schema.skype.com/Emoji" itemid="1f55b_twelveoclock" src="https://statics.teams.cdn.office.net/evergreen-assets/personal-expressions/v2/assets/emoticons/1f55b_twelveoclock/default/20_f.png" title="Twelve oclock" style="width:20px;height:20px;"></span>';
-
-        if (meetingHrs)
-          message += `<strong>${meetingHrs}</strong><span style="font-size:xx-small;"><strong>HR</strong></span>`;
-        if (meetingMins)
-          message += `<strong>${meetingMins}</strong><span style="font-size:xx-small;"><strong>MIN</strong></span>`;
-      }
-
-      message += '</p>';
-      message += getBotByline(config.repoUrl);
-
-      try {
-        await teamsClient.editMessage(data.message.channel.id, data.message.id, data.message.clientMessageId, message);
-      } catch (error) {
-        console.error("Updating meeting message failed", error);
-      }
-
-      delete meetingMessages[meeting.id];
+  commands.register('link', {
+    description: 'The join link of the last meeting for a class',
+    usage: '<class>',
+    handler: ({args, reply}) => {
+      const search = args.join(' ').toLowerCase();
+      const tafeClass = search && config.classes.find((candidate) => candidate.title.toLowerCase().startsWith(search));
+
+      if (!tafeClass)
+        return reply(`<p>Which class? ${config.classes.map((candidate) => escapeHtml(candidate.title)).join(', ')}</p>`);
+
+      const meeting = store.get('lastMeetings', tafeClass.title);
+      if (!meeting)
+        return reply(`<p>${escapeHtml(tafeClass.title)} hasn't had a meeting recently.</p>`);
+
+      return reply(`<p><a href="${escapeHtml(meeting.joinUrl)}">Join ${escapeHtml(tafeClass.title)}</a></p>`);
     }
   });
 
-})();
+  commands.register('help', {
+    description: 'List the commands',
+    handler: ({message, reply}) => {
+      const items = Object.entries(commands.available(message.user.id))
+        .map(([name, command]) => `<li><code>${escapeHtml(commands.prefix + name + (command.usage ? ` ${command.usage}` : ''))}</code> ${escapeHtml(command.description ?? '')}</li>`);
 
-function getCurrentCourseWeek(start) {
-  const now = parseInt(Date.now() / 1000);
-  return Math.ceil((now - start) / (7 * 24 * 60 * 60));
+      return reply(`<ul>${items.join('')}</ul>`);
+    }
+  });
 }
-
-function getBotByline(botUrl) {
-  let byline = '<hr><p><span contenteditable="false" title="Cool robot" type="(coolrobot)" class="animated-emoticon-20-coolrobot">';
-  byline += '<img itemscope itemtype="http://schema.skype.com/Emoji" itemid="coolrobot" src="https://statics.teams.cdn.office.net/evergreen-assets/personal-expressions/v2/assets/emoticons/coolrobot/default/20_f.png" title="Cool robot" style="width:20px;height:20px;"></span>';
-  byline += `<a href="${botUrl}" rel="noreferrer noopener" title="${botUrl}" target="_blank"><i>CLASS BOT</i></a></p>`;
-  return byline;
-}
\ No newline at end of file
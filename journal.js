@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const { TeamsClient } = require('./teams');
+
+/*
+A journal of what the TeamsClient received and sent, for finding out what Teams actually sent when something goes
+wrong. Entries are written one JSON object per line:
+{
+  time: string        When it happened, as an ISO 8601 string
+  type: string        'trouter' for a decoded trouter payload, 'api' for an API call, 'error' for a frame which
+                      couldn't be processed
+  payload: object     trouter: the payload, as given to _processMessage
+  api: string         api: 'skype' or 'teams'
+  method: string      api: the HTTP method
+  endpoint: string    api: the endpoint called
+  data: object        api: what was sent
+  response: object    api: what came back, if the call succeeded
+  error: object       api and error: what went wrong
+  frame: string       error: the frame as it was received
+}
+The journal is written to journal.jsonl in its directory. When the file gets too big it's moved to journal.1.jsonl,
+the previous journal.1.jsonl to journal.2.jsonl and so on, keeping maxFiles old files. Tokens and auth headers are
+always redacted, along with any other fields named in the redact option.
+*/
+
+const FILE_NAME = 'journal.jsonl';
+
+// Fields which are always redacted, wherever they are in an entry.
+const SENSITIVE_FIELDS = /token|authori[sz]ation|authentication|password|secret|cookie/i;
+
+class Journal {
+  _dir;
+  _maxSize;
+  _maxFiles;
+  _redact;
+  _size = null;
+  _writing = Promise.resolve();
+
+  /**
+   * @param {string} dir Directory to write the journal in.
+   * @param {object} options
+   * @param {number} options.maxSize Bytes the journal can grow to before it's rotated. Defaults to 10MiB.
+   * @param {number} options.maxFiles Number of rotated journals to keep. Defaults to 5.
+   * @param {string[]} options.redact Names of other fields to redact, e.g. 'content' to leave out messages.
+   */
+  constructor(dir, options = {}) {
+    this._dir = dir;
+    this._maxSize = options.maxSize ?? 10 * 1024 * 1024;
+    this._maxFiles = options.maxFiles ?? 5;
+    this._redact = (options.redact ?? []).map((field) => field.toLowerCase());
+  }
+
+  /**
+   * Add an entry to the journal. Entries are written in order, in the background.
+   * 
+   * @param {object} entry
+   * 
+   * @returns {Promise} Resolves when the entry has been written.
+   */
+  write(entry) {
+    const line = `${JSON.stringify(this._redactValue(Object.assign({time: new Date().toISOString()}, entry)))}\n`;
+
+    this._writing = this._writing
+      .catch(() => {})
+      .then(() => this._rotateIfNeeded(Buffer.byteLength(line)))
+      .then(() => fs.promises.appendFile(this._path(), line))
+      .then(() => this._size += Buffer.byteLength(line));
+
+    this._writing.catch((error) => console.error('Writing journal failed', error));
+
+    return this._writing;
+  }
+
+  _rotateIfNeeded(adding) {
+    const size = this._size === null
+      ? fs.promises.mkdir(this._dir, {recursive: true})
+        .then(() => fs.promises.stat(this._path()))
+        .then((stats) => stats.size, () => 0)
+      : Promise.resolve(this._size);
+
+    return size.then(async (current) => {
+      this._size = current;
+      if (!current || current + adding <= this._maxSize)
+        return;
+
+      // Shift the old journals up one, the oldest is replaced.
+      for (let index = this._maxFiles - 1; index >= 1; index--)
+        await fs.promises.rename(this._path(index), this._path(index + 1)).catch(() => {});
+
+      if (this._maxFiles > 0)
+        await fs.promises.rename(this._path(), this._path(1));
+      else
+        await fs.promises.unlink(this._path());
+
+      this._size = 0;
+    });
+  }
+
+  _path(index) {
+    return path.join(this._dir, index ? FILE_NAME.replace('.jsonl', `.${index}.jsonl`) : FILE_NAME);
+  }
+
+  _redactValue(value) {
+    if (typeof value === 'string') {
+      return value
+        .replace(/skypetoken=[^\s"&;]+/gi, 'skypetoken=[redacted]')
+        .replace(/Bearer\s+[^\s"]+/g, 'Bearer [redacted]');
+    }
+
+    if (Array.isArray(value))
+      return value.map((item) => this._redactValue(item));
+
+    if (value && typeof value === 'object') {
+      const redacted = {};
+
+      for (const [key, item] of Object.entries(value)) {
+        redacted[key] = (SENSITIVE_FIELDS.test(key) || this._redact.includes(key.toLowerCase()))
+          ? '[redacted]'
+          : this._redactValue(item);
+      }
+
+      return redacted;
+    }
+
+    return value;
+  }
+}
+
+/*
+A TeamsClient which replays a journal instead of connecting to Teams. The trouter payloads are fed through
+_processMessage in order, so events are emitted like they were when the journal was written. API calls aren't made:
+each is logged and answered with the response the same call got in the journal, or an empty response. Messages sent
+are echoed back like Teams does, so sent messages can be edited. The journal's own echoes of the messages the bot
+sent are left out, otherwise each would be seen twice and the bot could answer its own replies.
+
+Times in the payloads are moved to when they're replayed, as meeting detection compares them to the current time.
+Anything else which depends on the current time, such as which class session is on, sees the time of the replay.
+*/
+class ReplayClient extends TeamsClient {
+  _entries;
+  _responses = [];
+  _sentIds;
+  _messageId = 1;
+  _speed;
+
+  /**
+   * @param {object[]} entries Journal entries, see readJournal.
+   * @param {object} options Options for the TeamsClient, and
+   * @param {number} options.speed How fast to replay, 1 being as fast as it happened. 0 replays without waiting.
+   */
+  constructor(entries, options = {}) {
+    // Nothing is really sent, so there's no need to space sends out.
+    super('replay', null, Object.assign({}, options, {sendInterval: 0}));
+    this._entries = entries;
+    this._speed = options.speed ?? 0;
+    this._responses = entries.filter((entry) => entry.type === 'api' && 'response' in entry);
+    this._sentIds = new Set(entries
+      .filter((entry) => entry.type === 'api' && entry.method === 'POST' && entry.data && entry.data.clientmessageid)
+      .map((entry) => entry.data.clientmessageid));
+  }
+
+  isConnected() {
+    return true;
+  }
+
+  /**
+   * Feed the journal's trouter payloads through the client.
+   * 
+   * @returns {Promise<number>} The number of payloads replayed.
+   */
+  async replay() {
+    const payloads = this._entries.filter((entry) => entry.type === 'trouter' && !this._isSentEcho(entry.payload));
+    const first = payloads.length ? Date.parse(payloads[0].time) : 0;
+    const started = Date.now();
+
+    for (const entry of payloads) {
+      const offset = Date.parse(entry.time) - first;
+
+      if (this._speed) {
+        const wait = started + offset / this._speed - Date.now();
+        if (wait > 0)
+          await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+
+      const payload = JSON.parse(JSON.stringify(entry.payload));
+      if (payload.time)
+        payload.time = new Date().toISOString();
+
+      try {
+        this._processMessage(payload);
+      } catch (error) {
+        console.error('Replaying payload failed', error, payload);
+      }
+
+      await this._settle();
+    }
+
+    return payloads.length;
+  }
+
+  // Teams' echo of a message the bot sent when the journal was written, the replay sends and echoes it again.
+  _isSentEcho(payload) {
+    return !!payload && payload.resourceType === 'NewMessage' && !!payload.resource
+      && this._sentIds.has(payload.resource.clientmessageid);
+  }
+
+  // Wait until nothing more is being sent, so handlers finish before the next payload like they would live.
+  async _settle() {
+    let queue;
+
+    do {
+      queue = this._sendQueue;
+      await queue;
+      await new Promise((resolve) => setImmediate(resolve));
+    } while (queue !== this._sendQueue);
+  }
+
+  skypeApiCall(endpoint, method, data) {
+    return this._stubCall('skype', endpoint, method, data);
+  }
+
+  teamsApiCall(endpoint, method, data) {
+    return this._stubCall('teams', endpoint, method, data);
+  }
+
+  _stubCall(api, endpoint, method, data) {
+    console.log(`${api} ${method} ${endpoint}${data && data.content ? `\n  ${data.content}` : ''}`);
+
+    const index = this._responses.findIndex((entry) => entry.api === api && entry.method === method && entry.endpoint === endpoint);
+    const response = index >= 0 ? this._responses.splice(index, 1)[0].response : {};
+
+    // Teams tells the sender about their own messages too.
+    const sent = method === 'POST' && endpoint.match(/^\/users\/ME\/conversations\/([^/;]+)[^/]*\/messages$/);
+    if (sent) {
+      setImmediate(() => this._processMessage({
+        time: new Date().toISOString(),
+        type: 'EventMessage',
+        resourceType: 'NewMessage',
+        resource: {
+          id: `replay-${this._messageId++}`,
+          clientmessageid: data.clientmessageid,
+          messagetype: data.messagetype,
+          contenttype: data.contenttype,
+          content: data.content,
+          imdisplayname: data.imdisplayname,
+          from: 'replay/ME',
+          to: sent[1],
+          composetime: new Date().toISOString(),
+          properties: data.properties ?? {}
+        }
+      }));
+    }
+
+    return Promise.resolve(response);
+  }
+
+  _connectSockets() {}
+}
+
+/**
+ * Read journal files, in the order given. Lines which aren't valid JSON are skipped.
+ * 
+ * @param {...string} filePaths
+ * 
+ * @returns {object[]}
+ */
+function readJournal(...filePaths) {
+  return filePaths
+    .map((filePath) => fs.readFileSync(filePath, 'utf-8').split('\n'))
+    .reduce((lines, fileLines) => lines.concat(fileLines), [])
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((entry) => !!entry);
+}
+
+module.exports = { Journal, ReplayClient, readJournal };
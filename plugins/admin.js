@@ -0,0 +1,222 @@
+const http = require('http');
+const crypto = require('crypto');
+const schedule = require('../schedule');
+const { RequestError } = require('../teams');
+
+/*
+A local HTTP API for other tools, e.g. dashboards, to see what the bot is doing and post through it. Configured in
+the plugin's options:
+{
+  port: number        Defaults to 8080
+  host: string        Address to listen on. Defaults to localhost, so it's only reachable from this machine
+  token: string       Required. Requests must have an 'Authorization: Bearer <token>' header
+}
+
+Requests and responses are JSON. Errors are {error: string}.
+
+  GET /status           The client's status, see TeamsClient.getStatus, and the meetings with announcements which
+                        will be updated when they end.
+  GET /classes          The next session of each class, soonest first. ?limit=n for only the first n.
+  POST /messages        Post a message. {channel, content, mentions, importance, replyTo, subject}, as for
+                        sendMessage. Responds 201 with {clientMessageId}, which is needed to edit the message.
+  PUT /messages/:id     Edit a message. {channel, clientMessageId, content, mentions, importance}
+
+Requests which aren't valid get a 400, and requests Teams fails get a 502. Nothing is served while replaying a
+journal, so a replay can run next to the bot.
+*/
+
+const MAX_BODY = 1024 * 1024;
+
+class AdminPlugin {
+  _options;
+  _context;
+  _server;
+
+  /**
+   * @param {object} options See above.
+   */
+  constructor(options) {
+    this._options = options;
+  }
+
+  init(context) {
+    if (!this._options.token)
+      throw 'admin.token';
+
+    this._context = context;
+  }
+
+  start() {
+    if (this._context.replaying)
+      return;
+
+    const port = this._options.port ?? 8080;
+    const host = this._options.host ?? 'localhost';
+
+    this._server = http.createServer((request, response) => this._handle(request, response));
+
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, host, () => {
+        this._server.off('error', reject);
+        this._context.logger.info(`Listening on http://${host}:${this._server.address().port}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this._server)
+      return;
+
+    return new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  async _handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    try {
+      if (!this._authorised(request))
+        return send(response, 401, {error: 'unauthorized'});
+
+      if (request.method === 'GET' && url.pathname === '/status')
+        return send(response, 200, this._status());
+
+      if (request.method === 'GET' && url.pathname === '/classes')
+        return send(response, 200, this._classes(parseInt(url.searchParams.get('limit')) || undefined));
+
+      if (request.method === 'POST' && url.pathname === '/messages')
+        return send(response, 201, await this._postMessage(await readBody(request)));
+
+      const edit = url.pathname.match(/^\/messages\/([^/]+)$/);
+      if (request.method === 'PUT' && edit)
+        return send(response, 200, await this._editMessage(decodeURIComponent(edit[1]), await readBody(request)));
+
+      send(response, 404, {error: 'not_found'});
+    } catch (error) {
+      // Errors thrown as strings are the caller's mistake, e.g. a missing field.
+      if (typeof error === 'string')
+        return send(response, 400, {error});
+
+      this._context.logger.error(`${request.method} ${url.pathname} failed`, error);
+
+      // A message which doesn't exist is the caller's mistake, other failed requests are Teams', anything else is ours.
+      if (error instanceof RequestError)
+        return send(response, error.status === 404 ? 404 : 502, {error: error.code});
+
+      send(response, 500, {error: 'failed'});
+    }
+  }
+
+  _authorised(request) {
+    const header = request.headers.authorization ?? '';
+    const match = header.match(/^Bearer\s+(.+)$/);
+    if (!match)
+      return false;
+
+    // Compare hashes so the comparison takes the same time whatever the token's length.
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(this._options.token).digest();
+    return crypto.timingSafeEqual(given, expected);
+  }
+
+  _status() {
+    const { client, store } = this._context;
+
+    const announced = store.keys('meetingMessages')
+      .map((meetingId) => store.get('meetingMessages', meetingId))
+      .filter((data) => !!data)
+      .map((data) => ({
+        class: data.class.title,
+        meeting: data.meeting,
+        messages: data.messages.map((sent) => ({channel: sent.channel, id: sent.id ?? null, clientMessageId: sent.clientMessageId}))
+      }));
+
+    return Object.assign(client.getStatus(), {announced});
+  }
+
+  _classes(limit) {
+    const { config } = this._context;
+    const now = new Date();
+
+    return config.classes
+      .map((tafeClass) => ({tafeClass, next: schedule.nextSession(tafeClass, now, {timezone: config.timezone, exclude: config.exclude})}))
+      .filter(({next}) => !!next)
+      .sort((a, b) => a.next.start - b.next.start)
+      .slice(0, limit)
+      .map(({tafeClass, next}) => ({
+        title: tafeClass.title,
+        channels: tafeClass.channels,
+        start: next.start.toISOString(),
+        session: {day: next.session.day, hour: next.session.hour, mins: next.session.mins}
+      }));
+  }
+
+  async _postMessage(body) {
+    checkMessage(body);
+
+    const { clientMessageId } = await this._context.client.sendMessage(body.channel, body.content, {
+      mentions: body.mentions,
+      importance: body.importance,
+      replyTo: body.replyTo,
+      subject: body.subject
+    });
+
+    return {clientMessageId};
+  }
+
+  async _editMessage(messageId, body) {
+    checkMessage(body);
+    if (typeof body.clientMessageId !== 'string' || !body.clientMessageId)
+      throw 'message.missing_fields';
+
+    await this._context.client.editMessage(body.channel, messageId, body.clientMessageId, body.content, {
+      mentions: body.mentions,
+      importance: body.importance
+    });
+
+    return {id: messageId, clientMessageId: body.clientMessageId};
+  }
+}
+
+// Check the fields of a message to post or edit which are sent to Teams as they are.
+function checkMessage(body) {
+  if (typeof body.channel !== 'string' || !body.channel || typeof body.content !== 'string' || !body.content)
+    throw 'message.missing_fields';
+
+  if (body.mentions !== undefined && body.mentions !== null && !Array.isArray(body.mentions))
+    throw 'message.mentions';
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {'Content-Type': 'application/json'});
+  response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+
+    request.setEncoding('utf-8');
+    request.on('data', (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY) {
+        reject('request.too_large');
+        request.destroy();
+      }
+    });
+
+    request.on('end', () => {
+      try {
+        const body = raw ? JSON.parse(raw) : {};
+        resolve(body && typeof body === 'object' ? body : {});
+      } catch (error) {
+        reject('request.invalid_json');
+      }
+    });
+
+    request.on('error', reject);
+  });
+}
+
+module.exports = AdminPlugin;
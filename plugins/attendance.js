@@ -0,0 +1,132 @@
+const path = require('path');
+const teams = require('../teams');
+const schedule = require('../schedule');
+const { MemoryStore, JsonFileStore } = require('../store');
+const { Attendance } = require('../attendance');
+
+/*
+Records the attendance of class meetings, and posts a summary of the past week's attendance to the summary channels,
+and to the teachers directly, once a week. Configured in config.attendance, which is optional.
+
+Only class meetings are recorded: those the meetings plugin announced, and those missed while the bot wasn't running
+which started in one of the class's sessions. Meetings in a class's channel at other times aren't classes.
+*/
+
+class AttendancePlugin {
+  _context;
+  _attendance;
+  _store;
+  _timer;
+
+  /**
+   * @param {object} context
+   */
+  async init(context) {
+    this._context = context;
+    const { client, config, store, events } = context;
+    const attendanceConfig = config.attendance ?? {};
+
+    // Attendance is kept in its own file as it shouldn't expire like the rest of the state.
+    this._store = context.replaying
+      ? new MemoryStore()
+      : new JsonFileStore(path.resolve(__dirname, '..', attendanceConfig.file ?? 'attendance.json'));
+    await this._store.load();
+    this._attendance = new Attendance(this._store, {minDuration: attendanceConfig.minDuration, timezone: config.timezone});
+
+    // Remember which meetings are classes until they end. They're in the state store, so a restart mid-class doesn't
+    // lose them.
+    events.on('classStarted', ({class: classConfig, meeting}) => store.set('attendanceMeetings', meeting.id, classConfig.title));
+
+    client.on(teams.events.MEETING_ENDED, (meeting) => {
+      const meetingClass = this._findClass(meeting);
+      store.delete('attendanceMeetings', meeting.id);
+
+      // Meetings caught up on are filed under the day they ended, not the day they were found.
+      if (meetingClass)
+        this._attendance.record(meetingClass, meeting, new Date(meeting.endTime));
+    });
+  }
+
+  start() {
+    const { config } = this._context;
+
+    if (!(config.attendance ?? {}).summary)
+      return;
+
+    // Start counting from now the first time, so a summary isn't posted as soon as the bot starts.
+    if (!this._store.has('attendanceSummary', 'lastSent'))
+      this._store.set('attendanceSummary', 'lastSent', Date.now());
+
+    this._timer = setInterval(() => this._checkSummary(), 60 * 1000);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    return this._store.save();
+  }
+
+  get attendance() {
+    return this._attendance;
+  }
+
+  _findClass(meeting) {
+    const { config, store } = this._context;
+
+    if (store.has('attendanceMeetings', meeting.id)) {
+      const title = store.get('attendanceMeetings', meeting.id);
+      return config.classes.find((tafeClass) => tafeClass.title === title);
+    }
+
+    // A meeting missed entirely was never announced, so check it was a class the same way the meetings plugin does.
+    if (!meeting.recovered)
+      return undefined;
+
+    const meetingClass = config.classes.find((tafeClass) => tafeClass.channels.indexOf(meeting.channel.id) >= 0);
+    const scheduled = meetingClass && schedule.findSession(meetingClass, new Date(meeting.startTime), {timezone: config.timezone, exclude: config.exclude});
+    return scheduled ? meetingClass : undefined;
+  }
+
+  async _checkSummary() {
+    const { client, config, templates, logger } = this._context;
+    const summaryConfig = (config.attendance ?? {}).summary;
+    if (!summaryConfig)
+      return;
+
+    const summaryTime = {timezone: config.timezone, sessions: [{day: summaryConfig.day, hour: summaryConfig.hour, mins: summaryConfig.mins}]};
+
+    const due = schedule.nextSession(summaryTime, new Date(this._store.get('attendanceSummary', 'lastSent')));
+    if (!due || due.start > new Date())
+      return;
+
+    this._store.set('attendanceSummary', 'lastSent', Date.now());
+
+    const formatDate = (date) => {
+      const parts = schedule.getZonedParts(date, config.timezone);
+      return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+    };
+
+    const now = new Date();
+    const summary = this._attendance.summarise({
+      from: formatDate(new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000)),
+      until: formatDate(now)
+    });
+    const message = templates.render('attendanceSummary', Object.assign(summary, {repoUrl: config.repoUrl}), config.templates);
+
+    // 1:1 chats are identified by the IDs of both users.
+    const channels = (summaryConfig.channels ?? []).concat(
+      (summaryConfig.dmTeachers && config.botUserId)
+        ? config.teachers.map((teacher) => `19:${[teacher, config.botUserId].sort().join('_')}@unq.gbl.spaces`)
+        : []
+    );
+
+    for (const channel of channels) {
+      try {
+        await client.sendMessage(channel, message);
+      } catch (error) {
+        logger.error(`Sending attendance summary to ${channel} failed`, error);
+      }
+    }
+  }
+}
+
+module.exports = AttendancePlugin;
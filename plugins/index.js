@@ -0,0 +1,149 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/*
+Plugins add behaviours to the bot. A plugin is a module exporting a class, which is constructed with the plugin's
+options from the config, and can have any of these methods, which can return promises:
+
+  init(context)   Set up, e.g. subscribe to client events. Every plugin is initialised before any is started, so
+                  events emitted when a plugin starts reach every plugin.
+  start()         Start doing things, e.g. timers.
+  stop()          Stop, plugins are stopped in the reverse order they were started in.
+
+The context is shared by all plugins:
+{
+  client: TeamsClient
+  config: object          The bot config
+  store: MemoryStore      The state store
+  templates: Templates
+  commands: CommandRouter
+  events: PluginHost      For plugins to tell each other things, e.g. the meetings plugin emits 'classStarted'
+  plugins: PluginHost     For getting another plugin, with get(name)
+  logger: object          {info, error}, prefixed with the plugin's name. Each plugin gets its own.
+  replaying: boolean      True if a journal is being replayed, plugins shouldn't change anything outside the bot
+}
+
+Plugins are enabled in config.plugins, a map of plugin names to options, in the order they're loaded. Options are
+true or an object to enable the plugin, or false to disable it. Plugins which aren't built in are loaded from the
+options' path, relative to the bot's directory. Without config.plugins, the built-in plugins are enabled as they
+were before plugins.
+*/
+
+const BUILT_IN = {
+  meetings: './meetings',
+  reminders: './reminders',
+  attendance: './attendance',
+  admin: './admin',
+  webhooks: './webhooks'
+};
+
+class PluginHost extends EventEmitter {
+  _context;
+  _baseDir;
+  _plugins = [];
+  _started = [];
+
+  /**
+   * @param {object} context  The context shared by the plugins, without the logger, events and plugins.
+   * @param {string} baseDir  Directory plugin paths are relative to.
+   */
+  constructor(context, baseDir) {
+    super();
+    this._context = context;
+    this._baseDir = baseDir;
+  }
+
+  /**
+   * Load and initialise the enabled plugins.
+   * 
+   * @param {object} pluginsConfig Map of plugin names to options, see above.
+   * 
+   * @returns {Promise}
+   */
+  async load(pluginsConfig) {
+    for (const [name, options] of Object.entries(pluginsConfig)) {
+      if (!options)
+        continue;
+
+      const pluginOptions = options === true ? {} : options;
+      const modulePath = pluginOptions.path ? path.resolve(this._baseDir, pluginOptions.path) : BUILT_IN[name];
+      if (!modulePath)
+        throw `Plugin ${name} isn't built in and has no path`;
+
+      const Plugin = require(modulePath);
+      const plugin = new Plugin(pluginOptions);
+      this._plugins.push({name, plugin});
+
+      if (plugin.init)
+        await plugin.init(Object.assign({}, this._context, {events: this, plugins: this, logger: createLogger(name)}));
+    }
+  }
+
+  /**
+   * Start the loaded plugins, in the order they were loaded.
+   * 
+   * @returns {Promise}
+   */
+  async start() {
+    for (const entry of this._plugins) {
+      if (entry.plugin.start)
+        await entry.plugin.start();
+
+      this._started.push(entry);
+    }
+  }
+
+  /**
+   * Stop the started plugins, in reverse order. A plugin failing to stop doesn't stop the others being stopped.
+   * 
+   * @returns {Promise}
+   */
+  async stop() {
+    while (this._started.length) {
+      const {name, plugin} = this._started.pop();
+
+      try {
+        if (plugin.stop)
+          await plugin.stop();
+      } catch (error) {
+        console.error(`Stopping plugin ${name} failed`, error);
+      }
+    }
+  }
+
+  /**
+   * Get a loaded plugin.
+   * 
+   * @param {string} name
+   * 
+   * @returns {object|undefined}
+   */
+  get(name) {
+    const entry = this._plugins.find((candidate) => candidate.name === name);
+    return entry ? entry.plugin : undefined;
+  }
+}
+
+/**
+ * Get the plugins to enable when the config doesn't list them, which are the behaviours the bot had before plugins.
+ * 
+ * @param {object} config
+ * 
+ * @returns {object}
+ */
+function defaultPlugins(config) {
+  return {
+    meetings: true,
+    reminders: !!config.reminders,
+    attendance: !!config.attendance
+  };
+}
+
+function createLogger(name) {
+  return {
+    info: (...args) => console.log(`[${name}]`, ...args),
+    error: (...args) => console.error(`[${name}]`, ...args)
+  };
+}
+
+module.exports = { PluginHost, defaultPlugins };
@@ -0,0 +1,261 @@
+const teams = require('../teams');
+const schedule = require('../schedule');
+const calendar = require('../calendar');
+const { getTargets } = require('../targets');
+
+/*
+Announces classes when a teacher starts the meeting, and replaces the announcements with a summary of the meeting
+when it ends. Meetings missed while the bot wasn't running or was disconnected are caught up on.
+
+Emits 'classStarted' {class, session, meeting} on the plugin events when a class's meeting starts.
+
+Teachers' names are kept in the 'teachers' store namespace, which shouldn't expire, and looked up again once a day.
+A lookup which fails is tried again an hour later.
+*/
+
+// How often to check for teachers whose names need looking up, and how old a name can get before it's looked up again.
+const TEACHER_CHECK_INTERVAL = 60 * 60 * 1000;
+const TEACHER_MAX_AGE = 24 * 60 * 60 * 1000;
+
+class MeetingsPlugin {
+  _context;
+  _teacherTimer;
+  _lookingUp = new Set();
+  // When each teacher's last lookup failed, so a failing lookup isn't made again for every announcement.
+  _lookUpFailed = new Map();
+
+  /**
+   * @param {object} context
+   */
+  init(context) {
+    this._context = context;
+    const { client } = context;
+
+    client.on(teams.events.NEW_MEETING, (meeting) => this._announce(meeting));
+    client.on(teams.events.NEW_MESSAGE, (message) => this._recordSent(message));
+    client.on(teams.events.MEETING_ENDED, (meeting) => this._summarise(meeting));
+    client.on(teams.events.RECONNECTED, () => this._catchUp());
+  }
+
+  start() {
+    const { client } = this._context;
+
+    // Wait for the client to connect before using the API.
+    if (client.isConnected()) {
+      this._lookUpTeachers();
+      this._catchUp();
+    } else {
+      client.once(teams.events.CONNECTED, () => {
+        this._lookUpTeachers();
+        this._catchUp();
+      });
+    }
+
+    // Names get out of date, and teachers can be added when the config is reloaded.
+    this._teacherTimer = setInterval(() => this._lookUpTeachers(), TEACHER_CHECK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this._teacherTimer);
+  }
+
+  // When a teacher starts a class, post a message in chat with the meeting link.
+  async _announce(meeting) {
+    const { client, config, store, templates, events, logger } = this._context;
+
+    // Ignore the meeting if it wasn't created by a teacher.
+    if (!config.teachers.some(teacher => meeting.startedBy == teacher))
+      return;
+
+    // Find the class which runs in the channel the meeting was started in.
+    const channelClass = this._findClass(meeting.channel.id);
+
+    // Ignore the meeting if there is no class in this channel.
+    if (!channelClass)
+      return;
+
+    // Ignore the meeting if none of the class's sessions are scheduled around now.
+    // Meetings found when catching up are matched to the session they started in, not the one on now.
+    const startTime = meeting.recovered ? new Date(meeting.startTime) : new Date();
+    const session = schedule.findSession(channelClass, startTime, {timezone: config.timezone, exclude: config.exclude});
+    if (!session)
+      return;
+
+    events.emit('classStarted', {class: channelClass, session, meeting});
+
+    // A teacher who hasn't been looked up yet is announced without their name, and looked up for next time.
+    const teacher = store.get('teachers', meeting.startedBy);
+    if (!teacher)
+      this._lookUpTeachers();
+
+    // If all checks passed, tell the class's chats that the class has started.
+    const values = {
+      title: channelClass.title,
+      joinUrl: meeting.joinUrl,
+      teacher: (teacher ?? {}).name,
+      repoUrl: config.repoUrl
+    };
+
+    // Record the meeting details, the class details, and the message sent to each target. It's saved as each message
+    // is sent, so the message's ID can be recorded as soon as Teams tells us about it.
+    const data = {
+      class: channelClass,
+      meeting,
+      messages: []
+    };
+
+    // Send one at a time, as the messages' client IDs are based on the time they're sent.
+    for (const target of getTargets(channelClass, config, meeting.channel.id)) {
+      try {
+        const message = templates.render('meetingStarted', values, target.templates, channelClass.templates, config.templates);
+        const messageData = await client.sendMessage(target.channel, message, {mentions: target.mentions});
+
+        data.messages.push({channel: target.channel, templates: target.templates, summary: target.summary, clientMessageId: messageData.clientMessageId});
+        store.set('sentMessages', messageData.clientMessageId, meeting.id);
+        store.set('meetingMessages', meeting.id, data);
+      } catch (error) {
+        logger.error(`Sending meeting message to ${target.channel} failed`, error);
+      }
+    }
+
+    // Remember the link so students can ask for it later.
+    if (data.messages.length)
+      store.set('lastMeetings', channelClass.title, {joinUrl: meeting.joinUrl, time: Date.now()});
+  }
+
+  // Messages are only given their Teams IDs once they've been sent, which are needed to edit them later.
+  _recordSent(message) {
+    const { store } = this._context;
+
+    if (!store.has('sentMessages', message.clientMessageId))
+      return;
+
+    const meetingId = store.get('sentMessages', message.clientMessageId);
+    const data = store.get('meetingMessages', meetingId);
+    store.delete('sentMessages', message.clientMessageId);
+
+    const sent = data && data.messages.find((candidate) => candidate.clientMessageId === message.clientMessageId);
+    if (sent) {
+      sent.id = message.id;
+      store.set('meetingMessages', meetingId, data);
+    }
+  }
+
+  // When a class ends, update the meeting message with the details of the meeting, or reply to it.
+  async _summarise(meeting) {
+    const { client, config, store, templates, logger } = this._context;
+
+    // Retrieve data stored previously.
+    let data = store.get('meetingMessages', meeting.id);
+
+    // A meeting which was missed entirely was never announced, so its summary is posted instead.
+    if (!data && meeting.recovered) {
+      const meetingClass = this._findClass(meeting.channel.id);
+
+      if (meetingClass && schedule.findSession(meetingClass, new Date(meeting.startTime), {timezone: config.timezone, exclude: config.exclude})) {
+        data = {
+          class: meetingClass,
+          meeting,
+          messages: getTargets(meetingClass, config, meeting.channel.id)
+            .map((target) => ({channel: target.channel, templates: target.templates, summary: 'post'}))
+        };
+      }
+    }
+
+    if (!data)
+      return;
+
+    // Missed meetings are dated when they started rather than when they were found.
+    const date = meeting.recovered ? new Date(meeting.startTime) : new Date();
+    const day = date.toLocaleDateString('en-AU', {day: '2-digit'});
+    const month = date.toLocaleDateString('en-AU', {month: '2-digit'});
+    const hours = Math.floor(meeting.duration / 3600);
+    const minutes = Math.floor((meeting.duration % 3600) / 60);
+
+    const values = {
+      title: data.class.title,
+      week: calendar.getWeekLabel(calendar.fromConfig(config), date),
+      date: `${day}/${month}`,
+      day,
+      month,
+      // Meetings recovered without their start message have nothing to link to.
+      chatUrl: data.meeting.messageId ? `https://teams.microsoft.com/l/message/${meeting.channel.id}/${data.meeting.messageId}` : null,
+      joinUrl: data.meeting.joinUrl,
+      participantCount: meeting.participants.length,
+      duration: !!(hours || minutes),
+      hours,
+      minutes,
+      repoUrl: config.repoUrl
+    };
+
+    for (const sent of data.messages) {
+      if (sent.summary !== 'post' && !sent.id) {
+        logger.error(`Meeting message in ${sent.channel} was never received, can't update it`);
+        continue;
+      }
+
+      try {
+        const message = templates.render('meetingSummary', values, sent.templates, data.class.templates, config.templates);
+
+        if (sent.summary === 'post')
+          await client.sendMessage(sent.channel, message);
+        else if (sent.summary === 'reply')
+          await client.sendMessage(sent.channel, message, {replyTo: sent.id});
+        else
+          await client.editMessage(sent.channel, sent.id, sent.clientMessageId, message);
+      } catch (error) {
+        logger.error(`Updating meeting message in ${sent.channel} failed`, error);
+      }
+    }
+
+    store.delete('meetingMessages', meeting.id);
+  }
+
+  // Catch up on meetings which were missed while the bot wasn't running or was disconnected.
+  _catchUp() {
+    const { client, config, logger } = this._context;
+    const classChannels = config.classes.reduce((channels, tafeClass) => channels.concat(tafeClass.channels), []);
+
+    return client.catchUp(classChannels)
+      .then((count) => {
+        if (count)
+          logger.info(`Caught up on ${count} missed meeting event(s)`);
+      })
+      .catch((error) => logger.error('Catching up on missed meetings failed', error));
+  }
+
+  // Look up the names of teachers who haven't been looked up, or were looked up over a day ago, for the templates.
+  _lookUpTeachers() {
+    const { client, config, store, logger } = this._context;
+
+    if (!client.isConnected())
+      return;
+
+    for (const teacher of config.teachers) {
+      const known = store.get('teachers', teacher);
+      if (this._lookingUp.has(teacher) || (known && Date.now() - known.lookedUp < TEACHER_MAX_AGE))
+        continue;
+
+      if (Date.now() - (this._lookUpFailed.get(teacher) ?? 0) < TEACHER_CHECK_INTERVAL)
+        continue;
+
+      this._lookingUp.add(teacher);
+      client.getUser(teacher)
+        .then((user) => {
+          this._lookUpFailed.delete(teacher);
+          store.set('teachers', teacher, Object.assign({lookedUp: Date.now()}, user));
+        })
+        .catch((error) => {
+          this._lookUpFailed.set(teacher, Date.now());
+          logger.error(`Looking up teacher ${teacher} failed`, error);
+        })
+        .finally(() => this._lookingUp.delete(teacher));
+    }
+  }
+
+  _findClass(channelId) {
+    return this._context.config.classes.find(tafeClass => tafeClass.channels.indexOf(channelId) >= 0);
+  }
+}
+
+module.exports = MeetingsPlugin;
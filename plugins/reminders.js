@@ -0,0 +1,30 @@
+const { Reminders } = require('../reminders');
+
+/*
+Posts reminders before classes, and a notice when the teacher hasn't started the meeting. Configured in
+config.reminders, see reminders.js.
+*/
+
+class RemindersPlugin {
+  _reminders;
+
+  /**
+   * @param {object} context
+   */
+  init(context) {
+    this._reminders = new Reminders(context.client, context.config, context.store, context.templates);
+
+    // A class which has started doesn't need the notice.
+    context.events.on('classStarted', ({class: classConfig, session}) => this._reminders.markStarted(classConfig, session.start));
+  }
+
+  start() {
+    this._reminders.start();
+  }
+
+  stop() {
+    this._reminders.stop();
+  }
+}
+
+module.exports = RemindersPlugin;
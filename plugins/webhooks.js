@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const teams = require('../teams');
+
+/*
+Posts meeting events to other tools, e.g. to sync attendance to an LMS. Configured in the plugin's options:
+{
+  urls: [
+    string              URL to post every event to, or
+    {
+      url: string
+      events: string[]  Events to post, 'new_meeting' and/or 'meeting_ended'. Defaults to both
+      secret: string    If set, requests have an 'X-Signature: sha256=<hex>' header, the HMAC of the body with the
+                        secret, so the receiver can check they came from the bot
+    }
+  ]
+  retries: number       Times to retry a failed post. Defaults to 3
+  timeout: number       Milliseconds to wait for a response. Defaults to 10000
+}
+
+NEW_MEETING and MEETING_ENDED events are posted as JSON:
+{
+  id: string            The same for every post of the event. Failed posts are retried, and a post which timed out
+                        may have arrived, so receivers should use it to drop repeats
+  event: string         'new_meeting' or 'meeting_ended'
+  time: string          When the event happened, as an ISO 8601 string
+  data: object          The event's payload, as described in teams.js
+}
+Nothing is posted while replaying a journal.
+*/
+
+const EVENTS = {
+  [teams.events.NEW_MEETING]: 'new_meeting',
+  [teams.events.MEETING_ENDED]: 'meeting_ended'
+};
+
+class WebhooksPlugin {
+  _hooks;
+  _options;
+  _logger;
+
+  /**
+   * @param {object} options See above.
+   */
+  constructor(options) {
+    this._options = options;
+    this._hooks = (options.urls ?? [])
+      .map((hook) => typeof hook === 'string' ? {url: hook} : hook)
+      .map((hook) => Object.assign({events: Object.values(EVENTS)}, hook));
+  }
+
+  init(context) {
+    this._logger = context.logger;
+
+    if (context.replaying)
+      return;
+
+    for (const [event, name] of Object.entries(EVENTS))
+      context.client.on(Number(event), (data) => this._post(name, data));
+  }
+
+  _post(event, data) {
+    const body = JSON.stringify({id: `${event}:${data.id}`, event, time: new Date().toISOString(), data});
+
+    return Promise.all(this._hooks
+      .filter((hook) => hook.events.includes(event))
+      .map((hook) => {
+        const headers = {'Content-Type': 'application/json'};
+        if (hook.secret)
+          headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', hook.secret).update(body).digest('hex')}`;
+
+        const options = {method: 'POST', headers, timeout: this._options.timeout ?? 10 * 1000};
+
+        return teams.withRetries(() => teams.simpleRequest(hook.url, Object.assign({}, options), body), this._options.retries ?? 3)
+          .catch((error) => this._logger.error(`Posting ${event} to ${hook.url} failed`, error));
+      }));
+  }
+}
+
+module.exports = WebhooksPlugin;
@@ -0,0 +1,131 @@
+const schedule = require('./schedule');
+const { getTargets } = require('./targets');
+
+/*
+Posts a reminder before each scheduled class, and a notice if the teacher hasn't started the meeting a while after
+the class was meant to start. Options are set for all classes in config.reminders and can be overridden per class
+in the class's reminders:
+{
+  enabled: boolean    Defaults to true
+  before: number      Minutes before the class to post the reminder. Defaults to 15
+  lateAfter: number   Minutes after the start to post the notice if there's no meeting. Defaults to 10, 0 disables it
+  channels: string[]  Chats to post in. Defaults to the class's targets, see targets.js
+}
+What has been posted for each session is kept in the state store, so a restart doesn't post anything twice.
+*/
+
+class Reminders {
+  _client;
+  _config;
+  _store;
+  _templates;
+  _timer;
+
+  /**
+   * @param {TeamsClient} client
+   * @param {object} config       The bot config.
+   * @param {MemoryStore} store   State store to record what has been posted in.
+   * @param {Templates} templates
+   */
+  constructor(client, config, store, templates) {
+    this._client = client;
+    this._config = config;
+    this._store = store;
+    this._templates = templates;
+  }
+
+  /**
+   * Start checking for classes to post about, every 30s.
+   */
+  start() {
+    this.stop();
+    this._timer = setInterval(() => this.check(), 30 * 1000);
+    this.check();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+  }
+
+  /**
+   * Record that a meeting has started for a class session, so the notice isn't posted.
+   * 
+   * @param {object} classConfig
+   * @param {Date} start The time the session was scheduled to start.
+   */
+  markStarted(classConfig, start) {
+    this._update(classConfig, start, {started: true});
+  }
+
+  /**
+   * Post any reminders and notices which are due.
+   * 
+   * @returns {Promise}
+   */
+  check() {
+    const now = new Date();
+    const defaults = {timezone: this._config.timezone, exclude: this._config.exclude};
+    const posts = [];
+
+    for (const classConfig of this._config.classes) {
+      const options = this._options(classConfig);
+      if (!options.enabled)
+        continue;
+
+      const next = schedule.nextSession(classConfig, now, defaults);
+      if (next && next.start - now <= options.before * 60 * 1000 && !this._get(classConfig, next.start).reminded) {
+        this._update(classConfig, next.start, {reminded: true});
+        posts.push(this._post('classReminder', classConfig, next.start, options));
+      }
+
+      const current = schedule.findSession(classConfig, now, defaults);
+      if (
+        current
+        && options.lateAfter
+        && now - current.start >= options.lateAfter * 60 * 1000
+        && !this._get(classConfig, current.start).started
+        && !this._get(classConfig, current.start).noticed
+      ) {
+        this._update(classConfig, current.start, {noticed: true});
+        posts.push(this._post('meetingNotStarted', classConfig, current.start, options));
+      }
+    }
+
+    return Promise.all(posts);
+  }
+
+  _post(template, classConfig, start, options) {
+    const message = this._templates.render(template, {
+      title: classConfig.title,
+      minutes: Math.max(Math.round((start - Date.now()) / (60 * 1000)), 0),
+      time: start.toLocaleTimeString('en-AU', {timeZone: classConfig.timezone ?? this._config.timezone, hour: 'numeric', minute: '2-digit'}),
+      repoUrl: this._config.repoUrl
+    }, classConfig.templates, this._config.templates);
+
+    return Promise.all(options.channels.map((channel) => this._client.sendMessage(channel, message)
+      .catch((error) => console.error(`Posting ${template} for ${classConfig.title} failed`, error))));
+  }
+
+  _options(classConfig) {
+    return Object.assign({
+      enabled: true,
+      before: 15,
+      lateAfter: 10,
+      channels: getTargets(classConfig, this._config).map((target) => target.channel)
+    }, this._config.reminders, classConfig.reminders);
+  }
+
+  _key(classConfig, start) {
+    return `${classConfig.title}|${start.toISOString()}`;
+  }
+
+  _get(classConfig, start) {
+    return this._store.get('reminders', this._key(classConfig, start)) ?? {};
+  }
+
+  _update(classConfig, start, changes) {
+    this._store.set('reminders', this._key(classConfig, start), Object.assign(this._get(classConfig, start), changes));
+  }
+}
+
+module.exports = { Reminders };
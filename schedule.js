@@ -0,0 +1,213 @@
+/*
+Class schedules. A class has a list of sessions, each session is a weekly (or every n weeks) time the class meets.
+{
+  title: string
+  channels: string[]
+  timezone: string        IANA timezone the session times are in. Defaults to the top level config timezone.
+  exclude: [              Dates the class doesn't run, e.g. public holidays and term breaks.
+    string                A single date, YYYY-MM-DD
+    { from, until }       A range of dates, inclusive
+  ]
+  sessions: [
+    {
+      day: number         Day of the week, 0 is Sunday
+      hour: number
+      mins: number
+      window: number | { before: number, after: number }    Minutes either side of the start a meeting can begin
+      every: number       Run every n weeks, counted from the 'from' date. Defaults to 1
+      from: string        First date the session runs, YYYY-MM-DD
+      until: string       Last date the session runs, YYYY-MM-DD
+      exclude: []         Dates this session doesn't run, same format as the class exclude list
+    }
+  ]
+}
+Classes with a single 'start' instead of a sessions list are treated as having one weekly session.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW = 30;
+
+/**
+ * Get the sessions of a class with all of their options filled in.
+ * 
+ * @param {object} classConfig The class from config.classes.
+ * 
+ * @returns {object[]}
+ */
+function getSessions(classConfig) {
+  const sessions = classConfig.sessions ?? (classConfig.start ? [classConfig.start] : []);
+
+  return sessions.map((session) => {
+    const window = session.window ?? DEFAULT_WINDOW;
+
+    return {
+      day: session.day,
+      hour: session.hour,
+      mins: session.mins ?? 0,
+      window: (typeof window === 'number') ? {before: window, after: window} : {before: window.before ?? DEFAULT_WINDOW, after: window.after ?? DEFAULT_WINDOW},
+      every: session.every ?? 1,
+      from: session.from,
+      until: session.until,
+      exclude: session.exclude ?? []
+    };
+  });
+}
+
+/**
+ * Find the session of a class which a meeting started at the given time belongs to.
+ * 
+ * @param {object} classConfig The class from config.classes.
+ * @param {Date} date          When the meeting started.
+ * @param {object} defaults    The timezone and exclude list to use if the class doesn't have its own.
+ * 
+ * @returns {object|null} The session and the time it starts, or null if the class isn't scheduled at that time.
+ */
+function findSession(classConfig, date, defaults = {}) {
+  const timezone = classConfig.timezone ?? defaults.timezone;
+  const exclude = (classConfig.exclude ?? []).concat(defaults.exclude ?? []);
+  const now = getZonedParts(date, timezone);
+  const nowWall = Date.UTC(now.year, now.month - 1, now.day, now.hour, now.minute);
+  const today = dayNumber(now.year, now.month, now.day);
+
+  for (const session of getSessions(classConfig)) {
+    // A window can cross midnight, so the session could have been scheduled for yesterday or tomorrow.
+    for (const day of [today - 1, today, today + 1]) {
+      if (!runsOn(session, day, exclude))
+        continue;
+
+      const sessionWall = day * DAY_MS + (session.hour * 60 + session.mins) * 60 * 1000;
+      const offset = (nowWall - sessionWall) / (60 * 1000);
+
+      if (offset >= -session.window.before && offset <= session.window.after)
+        return {session, start: zonedToUtc(sessionWall, timezone)};
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the next session of a class which starts after the given time.
+ * 
+ * @param {object} classConfig The class from config.classes.
+ * @param {Date} date          Time to search from.
+ * @param {object} defaults    The timezone and exclude list to use if the class doesn't have its own.
+ * 
+ * @returns {object|null} The session and the time it starts, or null if the class has no more sessions within a year.
+ */
+function nextSession(classConfig, date, defaults = {}) {
+  const timezone = classConfig.timezone ?? defaults.timezone;
+  const exclude = (classConfig.exclude ?? []).concat(defaults.exclude ?? []);
+  const now = getZonedParts(date, timezone);
+  const today = dayNumber(now.year, now.month, now.day);
+  const sessions = getSessions(classConfig);
+
+  for (let day = today; day <= today + 366; day++) {
+    const upcoming = sessions
+      .filter((session) => runsOn(session, day, exclude))
+      .map((session) => ({session, start: zonedToUtc(day * DAY_MS + (session.hour * 60 + session.mins) * 60 * 1000, timezone)}))
+      .filter(({start}) => start > date)
+      .sort((a, b) => a.start - b.start);
+
+    if (upcoming.length)
+      return upcoming[0];
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a session runs on a day.
+ * 
+ * @param {object} session  A session from getSessions.
+ * @param {number} day      Days since the epoch, in the class's timezone.
+ * @param {array} exclude   Dates excluded for the whole class.
+ * 
+ * @returns {boolean}
+ */
+function runsOn(session, day, exclude) {
+  // The epoch was a Thursday.
+  if ((day + 4) % 7 !== session.day)
+    return false;
+
+  if (session.from && day < parseDate(session.from))
+    return false;
+
+  if (session.until && day > parseDate(session.until))
+    return false;
+
+  if (session.every > 1) {
+    const anchor = session.from ? parseDate(session.from) : 0;
+    if (Math.floor((day - anchor) / 7) % session.every !== 0)
+      return false;
+  }
+
+  return !exclude.concat(session.exclude).some((excluded) => {
+    if (typeof excluded === 'string')
+      return parseDate(excluded) === day;
+
+    return day >= parseDate(excluded.from) && day <= parseDate(excluded.until);
+  });
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone.
+ * 
+ * @param {Date} date
+ * @param {string} timezone IANA timezone, or undefined for the system timezone.
+ * 
+ * @returns {object}
+ */
+function getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  return formatter.formatToParts(date).reduce((parts, part) => {
+    if (part.type !== 'literal')
+      parts[part.type] = parseInt(part.value);
+
+    return parts;
+  }, {});
+}
+
+/**
+ * Convert a wall-clock time in a timezone, expressed as milliseconds as if it were UTC, to the actual instant.
+ * 
+ * @param {number} wall
+ * @param {string} timezone
+ * 
+ * @returns {Date}
+ */
+function zonedToUtc(wall, timezone) {
+  const offsetAt = (time) => {
+    const parts = getZonedParts(new Date(time), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+  };
+
+  // The offset is checked a second time in case the first guess landed on the other side of a DST change.
+  let time = wall - offsetAt(wall);
+  time = wall - offsetAt(time);
+
+  return new Date(time);
+}
+
+// Days since the epoch for a date.
+function dayNumber(year, month, day) {
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+// Days since the epoch for a YYYY-MM-DD string.
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map((part) => parseInt(part));
+  return dayNumber(year, month, day);
+}
+
+module.exports = { getSessions, findSession, nextSession, getZonedParts, zonedToUtc };
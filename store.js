@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+State stores keep small amounts of bot state (meeting messages, pending meetings) which should survive a restart.
+Values are grouped into namespaces so different parts of the bot can share a store without their keys clashing.
+Any object with the same methods as MemoryStore can be used as a store, e.g. one backed by a database.
+Entries which haven't been set for longer than maxAge seconds are expired, except in persistent namespaces.
+*/
+class MemoryStore {
+  _data = {};
+  _maxAge;
+  _persistent;
+
+  /**
+   * @param {object} options
+   * @param {number} options.maxAge         Seconds after which an entry is expired. Entries never expire if not given.
+   * @param {string[]} options.persistent   Namespaces whose entries never expire.
+   */
+  constructor(options = {}) {
+    this._maxAge = options.maxAge;
+    this._persistent = options.persistent ?? [];
+  }
+
+  /**
+   * Load the state. There is nothing to load for an in-memory store.
+   * 
+   * @returns {Promise}
+   */
+  load() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Persist the state. There is nowhere to persist to for an in-memory store.
+   * 
+   * @returns {Promise}
+   */
+  save() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Get a value, or undefined if there is no value for the key.
+   * 
+   * @param {string} namespace
+   * @param {string} key
+   * 
+   * @returns {*}
+   */
+  get(namespace, key) {
+    const entry = this._entry(namespace, key);
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * @param {string} namespace
+   * @param {string} key
+   * 
+   * @returns {boolean}
+   */
+  has(namespace, key) {
+    return !!this._entry(namespace, key);
+  }
+
+  /**
+   * Set a value. The value must be serialisable as JSON.
+   * 
+   * @param {string} namespace
+   * @param {string} key
+   * @param {*} value
+   */
+  set(namespace, key, value) {
+    if (!(namespace in this._data))
+      this._data[namespace] = {};
+
+    this._data[namespace][key] = {value, time: Date.now()};
+    this._changed();
+  }
+
+  /**
+   * @param {string} namespace
+   * @param {string} key
+   */
+  delete(namespace, key) {
+    if (!this._data[namespace] || !(key in this._data[namespace]))
+      return;
+
+    delete this._data[namespace][key];
+    this._changed();
+  }
+
+  /**
+   * List the keys of the entries in a namespace which haven't expired.
+   * 
+   * @param {string} namespace
+   * 
+   * @returns {string[]}
+   */
+  keys(namespace) {
+    return Object.keys(this._data[namespace] ?? {}).filter((key) => this.has(namespace, key));
+  }
+
+  /**
+   * Remove all expired entries.
+   */
+  prune() {
+    let pruned = false;
+
+    for (const namespace of Object.keys(this._data)) {
+      for (const key of Object.keys(this._data[namespace])) {
+        if (this._expired(namespace, this._data[namespace][key])) {
+          delete this._data[namespace][key];
+          pruned = true;
+        }
+      }
+    }
+
+    if (pruned)
+      this._changed();
+  }
+
+  _entry(namespace, key) {
+    const entry = this._data[namespace] && this._data[namespace][key];
+    return (entry && !this._expired(namespace, entry)) ? entry : null;
+  }
+
+  _expired(namespace, entry) {
+    return !!this._maxAge && !this._persistent.includes(namespace) && (Date.now() - entry.time) > this._maxAge * 1000;
+  }
+
+  // Called whenever the state changes.
+  _changed() {}
+}
+
+/*
+A store which keeps its state in a JSON file. Writes go to a temporary file which is then renamed over the state
+file, so a crash mid-write can't leave a truncated file behind.
+*/
+class JsonFileStore extends MemoryStore {
+  _filePath;
+  _writing = Promise.resolve();
+  _pendingWrite = false;
+
+  /**
+   * @param {string} filePath Path to the JSON file the state is kept in.
+   * @param {object} options
+   * @param {number} options.maxAge         Seconds after which an entry is expired.
+   * @param {string[]} options.persistent   Namespaces whose entries never expire.
+   */
+  constructor(filePath, options = {}) {
+    super(options);
+    this._filePath = filePath;
+  }
+
+  /**
+   * Load the state from the file. A missing file is treated as empty state. Expired entries are dropped.
+   * 
+   * @returns {Promise}
+   */
+  load() {
+    return fs.promises.readFile(this._filePath, 'utf-8')
+      .then((raw) => {
+        this._data = JSON.parse(raw);
+        this.prune();
+      })
+      .catch((error) => {
+        if (error.code !== 'ENOENT')
+          throw error;
+      });
+  }
+
+  /**
+   * Write the state to the file. Resolves once everything changed so far has been written.
+   * 
+   * @returns {Promise}
+   */
+  save() {
+    return this._changed();
+  }
+
+  // Writes are chained so they never overlap, and changes made while a write is queued are picked up by that write.
+  _changed() {
+    if (this._pendingWrite)
+      return this._writing;
+
+    this._pendingWrite = true;
+    this._writing = this._writing
+      .catch(() => {})
+      .then(() => {
+        this._pendingWrite = false;
+
+        const tmpPath = path.join(path.dirname(this._filePath), `.${path.basename(this._filePath)}.${process.pid}.tmp`);
+
+        return fs.promises.writeFile(tmpPath, JSON.stringify(this._data))
+          .then(() => fs.promises.rename(tmpPath, this._filePath));
+      });
+
+    this._writing.catch((error) => console.error('Writing state failed', error));
+
+    return this._writing;
+  }
+}
+
+module.exports = { MemoryStore, JsonFileStore };
@@ -0,0 +1,47 @@
+/*
+Where a class's announcements are posted. A class's targets are taken from the first of these which is set:
+  class.targets, config.targets, [config.groupChatChannel]
+Each target is either a chat or channel ID, or
+{
+  channel: string     Chat or channel ID, or 'meeting' for the channel the meeting was started in
+  templates: object   Templates to use for this target before the class's and config's templates
+  mentions: array     Who to @mention in the announcement, 'everyone' for everyone in the target chat or a mention
+                      as described for buildMentions in teams.js
+  summary: string     'edit' to replace the announcement with the meeting summary when the meeting ends, or 'reply'
+                      to post the summary in the announcement's thread. Threads are only in team channels. Defaults
+                      to 'edit'
+}
+*/
+
+const MEETING_CHANNEL = 'meeting';
+const EVERYONE = 'everyone';
+
+/**
+ * Get the targets to post a class's announcements to.
+ * 
+ * @param {object} classConfig
+ * @param {object} config       The bot config.
+ * @param {string} channelId    ID of the channel the meeting was started in, if there is a meeting. Otherwise
+ *                              'meeting' targets are the class's first channel.
+ * 
+ * @returns {object[]} [{channel, templates, mentions}]
+ */
+function getTargets(classConfig, config, channelId) {
+  const targets = classConfig.targets ?? config.targets ?? [config.groupChatChannel];
+
+  return targets
+    .map((target) => typeof target === 'string' ? {channel: target} : Object.assign({}, target))
+    .map((target) => {
+      if (target.channel === MEETING_CHANNEL)
+        target.channel = channelId ?? classConfig.channels[0];
+
+      if (target.mentions)
+        target.mentions = target.mentions.map((mention) => mention === EVERYONE ? {id: target.channel} : mention);
+
+      return target;
+    })
+    // The same chat could be listed twice once 'meeting' is resolved, only post there once.
+    .filter((target, index, all) => target.channel && all.findIndex((other) => other.channel === target.channel) === index);
+}
+
+module.exports = { getTargets, MEETING_CHANNEL };
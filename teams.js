@@ -3,6 +3,9 @@ const http = require('http');
 const https = require('https');
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
+const { MemoryStore } = require('./store');
+const { escapeHtml, htmlToText } = require('./html');
+const xml = require('./xml');
 
 const events = {
   /*
@@ -14,9 +17,11 @@ const events = {
     title: string       Title of the meeting
     joinUrl: string     URL to join the meeting
     startedBy: string   ID of the user who started the meeting
+    startTime: string   When the meeting started, as an ISO 8601 string
     channel: {
       id: string      ID of the channel the meeting is in
     }
+    recovered: boolean  True if the meeting started while the client wasn't listening, and was found by catchUp
   }
   */
   NEW_MEETING: 10,
@@ -25,16 +30,30 @@ const events = {
   event, this is based on events that occur in the channel, not a specific call-ending event.
   {
     id: string          ID of the meeting
-    messageId: string   ID of the message announcing the meeting.
+    messageId: string   ID of the message announcing the meeting. Undefined if the client didn't see the meeting
+                        start, either live or when catching up.
+    title: string       Title of the meeting, if the client saw it start
+    joinUrl: string     URL to join the meeting, if the client saw it start
+    organizer: {
+      id: string      ID of the user who started the meeting, if known
+    }
+    startTime: string   When the meeting started, as an ISO 8601 string
+    endTime: string     When the meeting ended, as an ISO 8601 string
+    duration: number    Length of the meeting in seconds
     participants: [
       {
-        id: string      ID of the user who participated in the meeting
-        name: string    Name of the user who participated in the meeting
+        id: string        ID of the user who participated in the meeting
+        name: string      Name of the user who participated in the meeting
+        type: string      'user', 'guest' or 'anonymous'. Bots are not included.
+        duration: number  Seconds the user was in the meeting, null if Teams didn't say
+        joinTime: string  When the user joined, if Teams said
+        leaveTime: string When the user left, if Teams said
       }
     ]
     channel: {
       id: string      ID of the channel the meeting is in
     }
+    recovered: boolean  True if the meeting ended while the client wasn't listening, and was found by catchUp
   }
   */
   MEETING_ENDED: 11,
@@ -102,9 +121,44 @@ const events = {
     }
   }
   */
-  CHAT_USER_TYPING: 23
+  CHAT_USER_TYPING: 23,
+  /*
+  Triggered when the DevTools WebSocket to the Teams shared worker is first opened.
+  */
+  CONNECTED: 30,
+  /*
+  Triggered when the DevTools WebSocket closes, errors, or stops responding to health checks. The client
+  will try to reconnect with backoff until it succeeds.
+  {
+    reason: string    Why the socket was considered disconnected
+  }
+  */
+  DISCONNECTED: 31,
+  /*
+  Triggered when the DevTools WebSocket has been re-opened after a disconnect.
+  {
+    attempts: number  How many attempts it took to reconnect
+  }
+  */
+  RECONNECTED: 32
 };
 
+// Used until the chat service for the account's region has been discovered.
+const DEFAULT_CHAT_SERVICE_URL = 'https://apac.ng.msg.teams.microsoft.com';
+const DEFAULT_AUTH_URL = 'https://teams.microsoft.com/api/authsvc/v1.0/authz';
+
+// The Teams API calls are made against Graph, using a token the Teams client acquires for it.
+const TEAMS_API_RESOURCE = 'https://graph.microsoft.com';
+const TEAMS_API_URL = 'https://graph.microsoft.com/v1.0';
+
+const MENTION_SCHEMA = 'http://schema.skype.com/Mention';
+const REPLY_SCHEMA = 'http://schema.skype.com/Reply';
+
+// Values a message's importance can be set to, '' is normal importance.
+const IMPORTANCE = ['', 'high', 'urgent'];
+
+const MENTION_TYPES = ['person', 'chat', 'channel', 'team'];
+
 const reactions = {
   YES: 'yes', LIKE: 'yes',                                // 👍
   HEART: 'heart',                                         // ❤️
@@ -115,9 +169,22 @@ const reactions = {
 
 class TeamsClient extends EventEmitter {
   _devtoolsWsUrl;
+  _devtoolsEndpoint;
   _socket;
 
+  _connection = {
+    everConnected: false,
+    attempts: 0,
+    closed: false,
+    reconnectTimer: null,
+    healthTimer: null,
+    healthTimeout: null,
+    listening: null
+  };
+
   _skypeAuth;
+  _teamsAuth;
+  _journal;
 
   _tokens = {
     skype: null,
@@ -125,50 +192,157 @@ class TeamsClient extends EventEmitter {
     teams: null
   };
 
-  _cache = {
-    meetings: {}
+  // State store for meetings in progress, shared with the bot so meetings can be tracked across restarts.
+  _cache;
+
+  _options = {
+    chatServiceUrl: null,
+    authUrl: DEFAULT_AUTH_URL,
+    timeout: 4000,
+    retries: 3,
+    sendInterval: 250,
+    catchUpWindow: 4 * 60 * 60 * 1000
   };
 
+  // Messages are sent one at a time so bursts don't get throttled.
+  _sendQueue = Promise.resolve();
+  _lastClientMessageId = 0;
+
   REQ_ID_ENABLE_NET = 1;
   REQ_ID_GET_TEAMS_TOKEN = 2;
   REQ_ID_GET_SKYPE_TOKEN = 3;
+  REQ_ID_HEALTH_CHECK = 4;
+
+  // Reconnect backoff starts at 1s and doubles up to 1min.
+  RECONNECT_DELAY_MIN = 1000;
+  RECONNECT_DELAY_MAX = 60 * 1000;
+  // Check the worker is still responding every 30s, allowing 10s for a reply.
+  HEALTH_CHECK_INTERVAL = 30 * 1000;
+  HEALTH_CHECK_TIMEOUT = 10 * 1000;
+  // Catching up starts a minute before the client was last known to be listening, as that's only checked every 30s.
+  CATCH_UP_MARGIN = 60 * 1000;
 
-  constructor(devtoolsWsUrl) {
+  /**
+   * @param {string} devtoolsWsUrl The DevTools WebSocket URL of the precompiled shared worker.
+   * @param {number|string} devtools Port, host:port or URL where devtools is served, used to find the worker again after a disconnect.
+   * @param {object} options
+   * @param {MemoryStore} options.store State store to keep meetings in. Meetings are kept in memory if not given.
+   * @param {string} options.chatServiceUrl Messaging service to use instead of the one discovered for the account's region.
+   * @param {string} options.authUrl URL of the auth service which issues Skype tokens.
+   * @param {number} options.timeout Timeout for API requests, in ms.
+   * @param {number} options.retries How many times to retry API requests which are rate limited or fail with a server error.
+   * @param {number} options.sendInterval Minimum time between sending or editing messages, in ms.
+   * @param {number} options.catchUpWindow How far back catchUp looks at most, in ms.
+   * @param {Journal} options.journal Journal to record trouter payloads and API calls in, see journal.js.
+   */
+  constructor(devtoolsWsUrl, devtools, options = {}) {
     super();
     this._devtoolsWsUrl = devtoolsWsUrl;
+    this._devtoolsEndpoint = devtoolsEndpoint(devtools ?? devtoolsWsUrl);
+    this._cache = options.store ?? new MemoryStore();
+    this._journal = options.journal;
+    this._connection.listening = this._cache.get('client', 'listening') ?? null;
+
+    for (const option of ['chatServiceUrl', 'authUrl', 'timeout', 'retries', 'sendInterval', 'catchUpWindow']) {
+      if (options[option] !== undefined && options[option] !== null)
+        this._options[option] = options[option];
+    }
     this._connectSockets();
   }
 
+  /**
+   * Whether the DevTools WebSocket is currently open.
+   * 
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this._socket && this._socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Get the state of the client, for monitoring.
+   * 
+   * @returns {object}
+   * {
+   *   connected: boolean
+   *   reconnectAttempts: number   Attempts made since the connection was lost, 0 when connected
+   *   tokens: {
+   *     skype: string|null        When the token expires, as an ISO 8601 string. Null if there's no token yet.
+   *     teams: string|null
+   *   }
+   *   meetings: object[]          Meetings which have started and not ended, as given by NEW_MEETING
+   * }
+   */
+  getStatus() {
+    return {
+      connected: this.isConnected(),
+      reconnectAttempts: this._connection.attempts,
+      tokens: {
+        skype: tokenExpiry(this._tokens.skype),
+        teams: tokenExpiry(this._tokens.teams)
+      },
+      // Calls which haven't got their meeting details yet are kept with the meetings, as times.
+      meetings: this._cache.keys('meetings')
+        .map((key) => this._cache.get('meetings', key))
+        .filter((meeting) => meeting && typeof meeting === 'object')
+    };
+  }
+
+  /**
+   * Close the DevTools WebSocket and stop reconnecting.
+   */
+  close() {
+    this._connection.closed = true;
+    clearTimeout(this._connection.reconnectTimer);
+    this._stopHealthCheck();
+    this._saveListening();
+
+    if (this._socket)
+      this._socket.close();
+  }
+
   /**
    * Send a message to a Teams channel (chat or team channel).
    * 
+   * Mentions notify the people mentioned. They are put in the message where it has {@n}, n being the index of the
+   * mention, and mentions which aren't placed are put at the start of the message.
+   * 
    * @param {string} channelId The ID of the channel to send the message to.
    * @param {string} message The content of the message to send. Should be in HTML.
+   * @param {object} options
+   * @param {object[]} options.mentions People to mention, see buildMentions.
+   * @param {string} options.replyTo ID of the first message of a team channel thread, to reply in that thread.
+   * @param {object} options.quote The message to quote, as given by the NEW_MESSAGE event. Chats don't have threads,
+   *                                this is how messages are replied to in them.
+   * @param {string} options.importance '', 'high' or 'urgent'.
+   * @param {string} options.subject Subject of a new team channel thread.
+   * @param {string} options.clientMessageId Client ID to send the message with, from newClientMessageId. For knowing
+   *                                         the message when Teams echoes it back, which can be before this resolves.
    * 
    * @returns {Promise}
    */
-  sendMessage(channelId, message) {
-    const clientMessageId = `1337${Date.now()}`;
+  sendMessage(channelId, message, options = {}) {
+    const clientMessageId = options.clientMessageId ?? this.newClientMessageId();
+    const conversationId = options.replyTo ? `${channelId};messageid=${options.replyTo}` : channelId;
 
-    const payload = {
-      content: message,
-      messagetype: "RichText/Html",
-      contenttype: "text",
-      amsreferences: [], // don't know what this is
-      clientmessageid: clientMessageId, // this is an ID for the client, the server has its own IDs
-      imdisplayname: "Class Bot", // this seems to be ignored.
-      properties: {
-        importance: "", // you can specify 'high', and 'urgent'
-        subject: "" // I think this has something to do with quoting previous messages.
-      }
-    };
-
-    return this.skypeApiCall(`/users/ME/conversations/${channelId}/messages`, 'POST', payload)
+    return this._queueSend(() => this.skypeApiCall(`/users/ME/conversations/${conversationId}/messages`, 'POST', this._messagePayload(message, clientMessageId, options)))
       .then((data) => {
         return {data, clientMessageId};
       });
   }
 
+  /**
+   * Make a client ID for a message to be sent.
+   * 
+   * @returns {string}
+   */
+  newClientMessageId() {
+    // Teams drops a message with the same client ID as one it already has, so a send which is retried after the
+    // server stored it isn't posted twice. The IDs must be unique, even for messages sent in the same millisecond.
+    this._lastClientMessageId = Math.max(Date.now(), this._lastClientMessageId + 1);
+    return `1337${this._lastClientMessageId}`;
+  }
+
   /**
    * Edit the content of a message.
    * 
@@ -176,67 +350,440 @@ class TeamsClient extends EventEmitter {
    * @param {string} messageId The Teams ID of the message to update.
    * @param {string} clientMessageId The client-side ID of the message.
    * @param {string} message The content of the message.
+   * @param {object} options Same as for sendMessage, except replyTo.
+   * 
+   * @returns {Promise}
+   */
+  editMessage(channelId, messageId, clientMessageId, message, options = {}) {
+    return this._queueSend(() => this.skypeApiCall(`/users/ME/conversations/${channelId}/messages/${messageId}`, 'PUT', this._messagePayload(message, clientMessageId, options)));
+  }
+
+  /**
+   * Delete a message. Only the bot's own messages can be deleted.
+   * 
+   * @param {string} channelId The ID of the channel the message exists in.
+   * @param {string} messageId The Teams ID of the message to delete.
    * 
    * @returns {Promise}
    */
-  editMessage(channelId, messageId, clientMessageId, message) {
+  deleteMessage(channelId, messageId) {
+    return this._queueSend(() => this.skypeApiCall(`/users/ME/conversations/${channelId}/messages/${messageId}`, 'DELETE'));
+  }
+
+  _messagePayload(message, clientMessageId, options) {
+    const importance = options.importance ?? '';
+    if (!IMPORTANCE.includes(importance))
+      throw 'message.importance';
+
     const payload = {
       content: message,
       messagetype: "RichText/Html",
       contenttype: "text",
-      amsreferences: [],
-      clientmessageid: clientMessageId,
-      imdisplayname: "Class Bot",
+      amsreferences: [], // don't know what this is
+      clientmessageid: clientMessageId, // this is an ID for the client, the server has its own IDs
+      imdisplayname: "Class Bot", // this seems to be ignored.
       properties: {
-        importance: "",
-        subject: ""
+        importance,
+        subject: options.subject ?? ""
+      }
+    };
+
+    if (options.mentions && options.mentions.length) {
+      const built = buildMentions(payload.content, options.mentions);
+      payload.content = built.content;
+      payload.properties.mentions = JSON.stringify(built.mentions);
+    }
+
+    if (options.quote)
+      payload.content = buildQuote(options.quote) + payload.content;
+
+    return payload;
+  }
+
+  /**
+   * React to a message. The reaction should be one of the values in the reactions table.
+   * 
+   * @param {string} channelId The ID of the channel the message exists in.
+   * @param {string} messageId The Teams ID of the message to react to.
+   * @param {string} reaction The reaction to add to the message.
+   * 
+   * @returns {Promise}
+   */
+  addReaction(channelId, messageId, reaction) {
+    const payload = {
+      emotions: {
+        key: reaction,
+        value: Date.now()
       }
     };
 
-    return this.skypeApiCall(`/users/ME/conversations/${channelId}/messages/${messageId}`, 'PUT', payload);
+    return this.skypeApiCall(`/users/ME/conversations/${channelId}/messages/${messageId}/properties?name=emotions`, 'PUT', payload);
+  }
+
+  /**
+   * Remove a reaction from a message. Only the reactions made by the bot's user can be removed.
+   * 
+   * @param {string} channelId The ID of the channel the message exists in.
+   * @param {string} messageId The Teams ID of the message to remove the reaction from.
+   * @param {string} reaction The reaction to remove from the message.
+   * 
+   * @returns {Promise}
+   */
+  removeReaction(channelId, messageId, reaction) {
+    const payload = {
+      emotions: {
+        key: reaction
+      }
+    };
+
+    return this.skypeApiCall(`/users/ME/conversations/${channelId}/messages/${messageId}/properties?name=emotions`, 'DELETE', payload);
+  }
+
+  /**
+   * Get the current reactions on a message. Resolves with the same reactions map as the MESSAGE_EDITED event,
+   * the reaction mapped to the IDs of the users who reacted.
+   * 
+   * @param {string} channelId The ID of the channel the message exists in.
+   * @param {string} messageId The Teams ID of the message.
+   * 
+   * @returns {Promise<object>}
+   */
+  getReactions(channelId, messageId) {
+    return this.skypeApiCall(`/users/ME/conversations/${channelId}/messages/${messageId}`, 'GET')
+      .then((message) => parseReactions(message.properties));
+  }
+
+  /**
+   * Get the messages sent in a channel since a time. Teams returns messages newest first, a page at a time, with a
+   * link to the page before; pages are fetched until one goes back past `since`.
+   * 
+   * @param {string} channelId The ID of the channel to get the messages of.
+   * @param {object} options
+   * @param {Date|number} options.since Only get messages sent after this time. Defaults to every message.
+   * @param {number} options.pageSize Number of messages to get per request, up to 200.
+   * @param {string} options.syncState The syncState of a previous call, to get only the messages sent since then.
+   * 
+   * @returns {Promise<object>} {messages, syncState} Messages are oldest first, in the shape trouter sends them in.
+   *                             syncState can be passed to the next call.
+   */
+  getMessages(channelId, options = {}) {
+    const since = options.since ? new Date(options.since).getTime() : 0;
+    const pageSize = options.pageSize ?? 200;
+    const messages = [];
+    let syncState;
+
+    const getPage = (endpoint) => this.skypeApiCall(endpoint, 'GET')
+      .then((page) => {
+        const metadata = page._metadata ?? {};
+        const pageMessages = page.messages ?? [];
+
+        // The sync state of the first page is the newest.
+        syncState = syncState ?? metadata.syncState;
+        messages.push(...pageMessages.filter((message) => messageTime(message) > since));
+
+        const older = metadata.backwardLink && apiEndpoint(metadata.backwardLink);
+        if (older && older !== endpoint && pageMessages.length && pageMessages.every((message) => messageTime(message) > since))
+          return getPage(older);
+      });
+
+    const first = options.syncState
+      ? apiEndpoint(options.syncState)
+      : `/users/ME/conversations/${channelId}/messages?view=msnp24Equivalent&pageSize=${pageSize}&startTime=${since}`;
+
+    return getPage(first)
+      .then(() => ({
+        messages: messages.sort((a, b) => messageTime(a) - messageTime(b)),
+        syncState
+      }));
+  }
+
+  /**
+   * Get the details of a channel (chat or team channel).
+   * 
+   * @param {string} channelId The ID of the channel.
+   * 
+   * @returns {Promise<object>}
+   * {
+   *   id: string
+   *   title: string     Topic of the chat or name of the channel, undefined if it doesn't have one
+   *   type: string      The thread type, e.g. 'chat', 'meeting' or 'topic'
+   *   members: [
+   *     {
+   *       id: string    ID of the user
+   *       role: string  'Admin' or 'User'
+   *       name: string  Name of the user, if Teams gave it
+   *     }
+   *   ]
+   * }
+   */
+  getConversation(channelId) {
+    return this.skypeApiCall(`/threads/${channelId}?view=msnp24Equivalent`, 'GET')
+      .then((thread) => {
+        const properties = thread.properties ?? {};
+
+        return {
+          id: thread.id ?? channelId,
+          title: properties.topic || properties.spaceThreadTopic || undefined,
+          type: properties.threadType,
+          members: (thread.members ?? []).map((member) => ({
+            id: member.id,
+            role: member.role,
+            name: member.friendlyName || undefined
+          }))
+        };
+      });
+  }
+
+  /**
+   * Get the details of a user in the organisation.
+   * 
+   * @param {string} userId The ID of the user, with or without the 8:orgid: prefix.
+   * 
+   * @returns {Promise<object>} {id, name, email}
+   */
+  getUser(userId) {
+    const id = userId.replace(/^8:orgid:/, '');
+
+    return this.teamsApiCall(`/users/${id}`, 'GET')
+      .then((user) => ({
+        id,
+        name: user.displayName,
+        email: user.mail ?? user.userPrincipalName
+      }));
+  }
+
+  /**
+   * Catch up on meetings in channels which started or ended while the client wasn't listening, e.g. while it was
+   * disconnected or before it started. The call messages in the channels are read back to `since`, and NEW_MEETING
+   * and MEETING_ENDED are emitted with recovered set for the meetings the client missed. A meeting which both started
+   * and ended while the client wasn't listening only gets a MEETING_ENDED event.
+   * 
+   * @param {string[]} channelIds The channels to look for meetings in.
+   * @param {object} options
+   * @param {Date|number} options.since How far back to look. Defaults to shortly before the client was last known
+   *                                     to be listening, or catchUpWindow ago if that was longer ago.
+   * 
+   * @returns {Promise<number>} The number of events emitted.
+   */
+  catchUp(channelIds, options = {}) {
+    const listening = this._connection.listening;
+    const since = options.since
+      ? new Date(options.since).getTime()
+      : Math.max((listening ?? 0) - this.CATCH_UP_MARGIN, Date.now() - this._options.catchUpWindow);
+    let emitted = 0;
+
+    const catchUpChannel = (channelId) => this.getMessages(channelId, {since})
+      .then(({messages}) => {
+        const calls = messages.filter((resource) => resource.messagetype === 'Event/Call' && resource.skypeguid);
+        const ended = new Set(calls
+          .filter((resource) => resource.content.indexOf('<ended/>') >= 0)
+          .map((resource) => resource.skypeguid));
+
+        for (const resource of calls) {
+          // The history doesn't say who the messages were sent to, they're all in the channel.
+          resource.to = resource.to ?? channelId;
+          const id = resource.skypeguid;
+          const time = new Date(resource.originalarrivaltime ?? resource.composetime);
+
+          if (this._cache.has('endedMeetings', id))
+            continue;
+
+          if (resource.content.indexOf('<ended/>') >= 0) {
+            this._meetingEnded(resource, time, true);
+            emitted++;
+            continue;
+          }
+
+          const meetingData = parseMeetingData(resource.properties);
+          if (!meetingData || this._cache.has('meetings', id))
+            continue;
+
+          if (ended.has(id)) {
+            // Keep the details for when the end is reached, so they're in the MEETING_ENDED event.
+            this._cache.set('meetings', id, this._startedMeeting(resource, meetingData, time));
+          } else {
+            this._meetingStarted(resource, meetingData, time, true);
+            emitted++;
+          }
+        }
+      });
+
+    // One channel at a time, so events are emitted in a predictable order.
+    return channelIds
+      .reduce((previous, channelId) => previous.then(() => catchUpChannel(channelId)), Promise.resolve())
+      .then(() => emitted);
+  }
+
+  // Run a send after the sends queued before it, leaving the send interval between them.
+  _queueSend(send) {
+    const sent = this._sendQueue.then(() => send());
+
+    this._sendQueue = sent
+      .catch(() => {})
+      .then(() => new Promise((resolve) => setTimeout(resolve, this._options.sendInterval)));
+
+    return sent;
   }
 
   /**
    * Makes a call to the Skype API. This method automatically handles authentication. Returns
    * a promise which will resolve with the request response if successful, otherwise it will
-   * reject with some error.
+   * reject with some error, a RequestError if the API responded with an error. Requests which
+   * are rate limited or fail with a server error are retried.
    * 
    * @returns {Promise<object>}
    */
   skypeApiCall(endpoint, method, data) {
-    if (this._skypeAuth)
-      return this._skypeAuth.then(() => this.skypeApiCall(endpoint, method, data));
+    const request = this._skypeRequest(endpoint, method, data)
+      .catch((error) => {
+        // The token can be revoked before it expires. Drop it and try once more with a new one.
+        if (error instanceof RequestError && error.status === 401) {
+          this._tokens.skype = null;
+          return this._skypeRequest(endpoint, method, data);
+        }
 
-    const now = Date.now() / 1000;
-    this._skypeAuth = (this._tokens.skype && this._tokens.skype.token && now < (this._tokens.skype.expires - 60))
-      ? Promise.resolve()
-      : (
-          (this._tokens.skypeRefresh && this._tokens.skypeRefresh.token && now < (this._tokens.skypeRefresh.expires - 60))
-            ? Promise.resolve()
-            : this._fetchSkypeRefreshToken()
-        ).then(this._refreshSkypeToken.bind(this));
-
-    this._skypeAuth.finally(() => this._skypeAuth = undefined);
-
-    return this._skypeAuth
-      .then(() => {
+        throw error;
+      });
+
+    return this._journalCall('skype', endpoint, method, data, request);
+  }
+
+  _skypeRequest(endpoint, method, data) {
+    // Retrying a POST which failed after the server acted on it would do it twice, unless it's a message with a client
+    // ID, which Teams uses to drop repeats.
+    const idempotent = method !== 'POST' || !!(data && data.clientmessageid);
+
+    return this._authenticateSkype()
+      .then(() => withRetries(() => {
         const headers = {'Authentication': `skypetoken=${this._tokens.skype.token}`};
-    
+
         if (data)
           headers['Content-Type'] = 'application/json';
 
-        return simpleRequest(`https://apac.ng.msg.teams.microsoft.com/v1${endpoint}`, {method, headers, timeout: 4000}, data);
-      });
+        return simpleRequest(`${this.getChatServiceUrl()}/v1${endpoint}`, {
+          method,
+          headers,
+          timeout: this._options.timeout,
+          maxRedirects: 3,
+          // Conversations which have moved to another region are redirected, use that region from now on.
+          onRedirect: (location) => {
+            const index = location.indexOf('/v1/');
+            if (index > 0 && !this._options.chatServiceUrl)
+              this._cache.set('endpoints', 'chatService', location.substring(0, index));
+          }
+        }, data);
+      }, this._options.retries, idempotent));
+  }
+
+  // Make sure there is a valid Skype token. Concurrent calls share the same token request.
+  _authenticateSkype() {
+    if (this._skypeAuth)
+      return this._skypeAuth;
+
+    const now = Date.now() / 1000;
+    if (this._tokens.skype && this._tokens.skype.token && now < (this._tokens.skype.expires - 60))
+      return Promise.resolve();
+
+    this._skypeAuth = (
+      (this._tokens.skypeRefresh && this._tokens.skypeRefresh.token && now < (this._tokens.skypeRefresh.expires - 60))
+        ? Promise.resolve()
+        : this._fetchSkypeRefreshToken()
+    )
+      .then(this._refreshSkypeToken.bind(this))
+      .catch((error) => {
+        // The refresh token was rejected, get a new one from Teams and try again.
+        if (error instanceof RequestError && error.status === 401) {
+          this._tokens.skypeRefresh = null;
+          return this._fetchSkypeRefreshToken().then(this._refreshSkypeToken.bind(this));
+        }
+
+        throw error;
+      })
+      .finally(() => this._skypeAuth = undefined);
+
+    return this._skypeAuth;
+  }
+
+  /**
+   * Get the base URL of the messaging service. This is the configured URL, or the URL for the account's region which
+   * is discovered when a Skype token is issued.
+   * 
+   * @returns {string}
+   */
+  getChatServiceUrl() {
+    return this._options.chatServiceUrl ?? this._cache.get('endpoints', 'chatService') ?? DEFAULT_CHAT_SERVICE_URL;
   }
 
   /**
    * Makes a call to the Teams API. This method handles authentication automatically. Returns
-   * a promise which resolves with the response or rejects with an error message.
+   * a promise which resolves with the response or rejects with an error message. Endpoints are
+   * relative to the Graph API, e.g. `/teams/{team-id}/channels`.
    * 
    * @returns {Promise<object>}
    */
   teamsApiCall(endpoint, method, data) {
-    // Stub
+    const request = this._teamsRequest(endpoint, method, data)
+      .catch((error) => {
+        // Like the Skype token, drop a rejected token and try once more.
+        if (error instanceof RequestError && error.status === 401) {
+          this._tokens.teams = null;
+          return this._teamsRequest(endpoint, method, data);
+        }
+
+        throw error;
+      });
+
+    return this._journalCall('teams', endpoint, method, data, request);
+  }
+
+  // Record an API call and how it went in the journal, if there is one.
+  _journalCall(api, endpoint, method, data, request) {
+    if (!this._journal)
+      return request;
+
+    return request.then(
+      (response) => {
+        this._journal.write({type: 'api', api, method, endpoint, data, response});
+        return response;
+      },
+      (error) => {
+        const details = error instanceof RequestError
+          ? {code: error.code, status: error.status, body: error.body}
+          : {message: String(error)};
+
+        this._journal.write({type: 'api', api, method, endpoint, data, error: details});
+        throw error;
+      }
+    );
+  }
+
+  _teamsRequest(endpoint, method, data) {
+    return this._authenticateTeams()
+      .then(() => withRetries(() => {
+        const headers = {
+          'Authorization': `Bearer ${this._tokens.teams.token}`,
+          'Accept': 'application/json'
+        };
+
+        if (data)
+          headers['Content-Type'] = 'application/json';
+
+        return simpleRequest(`${TEAMS_API_URL}${endpoint}`, {method, headers, timeout: this._options.timeout}, data);
+      }, this._options.retries, method !== 'POST'));
+  }
+
+  _authenticateTeams() {
+    if (this._teamsAuth)
+      return this._teamsAuth;
+
+    const now = Date.now() / 1000;
+    if (this._tokens.teams && this._tokens.teams.token && now < (this._tokens.teams.expires - 60))
+      return Promise.resolve();
+
+    this._teamsAuth = this._fetchTeamsToken()
+      .finally(() => this._teamsAuth = undefined);
+
+    return this._teamsAuth;
   }
 
   /**
@@ -249,92 +796,34 @@ class TeamsClient extends EventEmitter {
     if (message.resourceType === 'NewMessage' && message.resource.messagetype === 'Event/Call') {
       if (message.resource.content.indexOf('<ended/>') >= 0) {
         // This message indicates that a meeting has ended.
-        // Participants list is in XML. Use minimal regex to get the participant names and IDs from the markup.
-        const participants = [...message.resource.content.matchAll(/<part [^>]*>/g)].reduce((ranges, match) => {
-          if (ranges.length)
-            ranges[ranges.length-1].push(match.index);
-
-          ranges.push([match.index]);
-          return ranges;
-        }, [])
-        .map((range) => {
-          const partStr = message.resource.content.substring.apply(message.resource.content, range);
-          const idMatch = partStr.match(/identity="([^"]+)/);
-          const id = idMatch[1];
-
-          if (id.startsWith('28'))
-            return null;
-
-          const nameMatch = partStr.match(/<displayName>([^<]+)/);
-          if (!nameMatch)
-            return null;
-
-          const name = nameMatch[1];
-
-          const durationMatch = partStr.match(/<duration>([^<]+)/);
-          if (!durationMatch)
-            return null;
-
-          const duration = parseInt(durationMatch[1]);
-          
-          return { id, name, duration };
-        })
-        .filter((participant) => !!participant);
-
-        const meeting = {
-          id: message.resource.skypeguid,
-          participants,
-          channel: {
-            id: message.resource.to
-          }
-        };
-
-        this.emit(events.MEETING_ENDED, meeting);
+        this._meetingEnded(message.resource, new Date(message.time ?? message.resource.composetime ?? Date.now()), false);
       } else {
         // Cache this new call to be processed when the meeting data comes through. The reason for caching it
         // instead of just checking for the update is to ensure that the meeting is new and not just an update
         // to a meeting started some time ago.
-        this._cache.meetings[message.resource.id] = (new Date(message.time)).getTime();
+        this._cache.set('meetings', message.resource.id, (new Date(message.time)).getTime());
       }
     } else if (
       message.resourceType === 'MessageUpdate'
       && message.resource.messagetype === 'Event/Call'
-      && this._cache.meetings.hasOwnProperty(message.resource.id)
+      && this._cache.has('meetings', message.resource.id)
     ) {
-      const timeAgo = Date.now() - this._cache.meetings[message.resource.id];
+      const startedAt = this._cache.get('meetings', message.resource.id);
+      const timeAgo = Date.now() - startedAt;
       // If the meeting message was more than 1min ago, delete from the cache and stop processing.
       if (timeAgo > 60 * 1000) {
-        delete this._cache.meetings[message.resource.id];
+        this._cache.delete('meetings', message.resource.id);
         return;
       }
 
       // Check for the update that has the rest of the meeting data then emit the new meeting event.
-
-      if (!('meeting' in message.resource.properties))
+      const meetingData = parseMeetingData(message.resource.properties);
+      if (!meetingData)
         return;
 
-      const meetingData = JSON.parse(message.resource.properties.meeting);
+      this._cache.delete('meetings', message.resource.id);
 
-      if (!('meetingJoinUrl' in meetingData))
-        return;
-
-      delete this._cache.meetings[message.resource.id];
-
-      const meeting = {
-        id: message.resource.skypeguid,
-        messageId: message.resource.id,
-        title: meetingData.meetingtitle,
-        joinUrl: meetingData.meetingJoinUrl,
-        startedBy: meetingData.organizerId,
-        channel: {
-          id: message.resource.to
-        }
-      };
-
-      // Cache this meeting so a MEETING_ENDED event can be generated later.
-      this._cache.meetings[meeting.id] = meeting;
-
-      this.emit(events.NEW_MEETING, meeting);
+      this._meetingStarted(message.resource, meetingData, startedAt, false);
     } else if (message.resourceType === 'NewMessage' && ['text', 'richtext/html'].indexOf(message.resource.messagetype.toLowerCase()) >= 0) {
       // Handle a new chat or conversation message event.
       const threadMessage = {
@@ -353,12 +842,110 @@ class TeamsClient extends EventEmitter {
       };
 
       this.emit(events.NEW_MESSAGE, threadMessage);
+    } else if (message.resourceType === 'MessageUpdate' && ['text', 'richtext/html'].indexOf(message.resource.messagetype.toLowerCase()) >= 0) {
+      const user = {
+        id: message.resource.from.substring(message.resource.from.lastIndexOf('/') + 1),
+        name: message.resource.imdisplayname
+      };
+      const channel = {
+        id: message.resource.to,
+        type: message.resource.threadtype
+      };
+
+      // Deleted messages come through as an update with the content blanked and a delete time set.
+      if (message.resource.properties && message.resource.properties.deletetime) {
+        this.emit(events.MESSAGE_DELETED, {id: message.resource.id, user, channel});
+        return;
+      }
+
+      // Reactions are also delivered as message updates, so this covers edits and reaction changes.
+      const editedMessage = {
+        id: message.resource.id,
+        content: message.resource.content,
+        reactions: parseReactions(message.resource.properties),
+        user,
+        channel
+      };
+
+      this.emit(events.MESSAGE_EDITED, editedMessage);
+    } else if (message.resourceType === 'NewMessage' && message.resource.messagetype === 'Control/Typing') {
+      const typing = {
+        userId: message.resource.from.substring(message.resource.from.lastIndexOf('/') + 1),
+        channel: {
+          title: message.resource.threadtopic,
+          id: message.resource.to
+        }
+      };
+
+      this.emit(events.CHAT_USER_TYPING, typing);
     }
   }
 
+  _meetingStarted(resource, meetingData, startedAt, recovered) {
+    const meeting = this._startedMeeting(resource, meetingData, startedAt);
+    meeting.recovered = recovered;
+
+    // Cache this meeting so a MEETING_ENDED event can be generated later.
+    this._cache.set('meetings', meeting.id, meeting);
+
+    this.emit(events.NEW_MEETING, meeting);
+  }
+
+  _startedMeeting(resource, meetingData, startedAt) {
+    return {
+      id: resource.skypeguid,
+      messageId: resource.id,
+      title: meetingData.meetingtitle,
+      joinUrl: meetingData.meetingJoinUrl,
+      startedBy: meetingData.organizerId,
+      startTime: new Date(startedAt).toISOString(),
+      channel: {
+        id: resource.to
+      }
+    };
+  }
+
+  _meetingEnded(resource, endTime, recovered) {
+    const callEvent = parseCallEvent(resource.content);
+    const started = this._cache.get('meetings', resource.skypeguid);
+
+    // Prefer when the meeting was seen starting. Otherwise use the earliest of when the first participant joined
+    // and the end time less the longest time anyone was in the meeting.
+    const longest = callEvent.participants.reduce((max, participant) => Math.max(max, participant.duration ?? 0), 0);
+    const earliest = callEvent.participants
+      .filter((participant) => !!participant.joinTime)
+      .reduce((min, participant) => Math.min(min, new Date(participant.joinTime).getTime()), endTime.getTime() - longest * 1000);
+    const startTime = new Date((started && started.startTime) ? started.startTime : earliest);
+
+    const meeting = {
+      id: resource.skypeguid,
+      messageId: started ? started.messageId : undefined,
+      title: started ? started.title : undefined,
+      joinUrl: started ? started.joinUrl : undefined,
+      organizer: {
+        id: callEvent.organizerId ?? (started ? started.startedBy : undefined)
+      },
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      duration: Math.max(Math.round((endTime - startTime) / 1000), 0),
+      participants: callEvent.participants.filter((participant) => participant.type !== 'bot'),
+      channel: {
+        id: resource.to
+      },
+      recovered
+    };
+
+    this._cache.delete('meetings', meeting.id);
+    // Remember the meeting ended so catching up doesn't report it again.
+    this._cache.set('endedMeetings', meeting.id, endTime.getTime());
+
+    this.emit(events.MEETING_ENDED, meeting);
+  }
+
   // Connect to the target frame devtools server.
   _connectSockets() {
     const socket = new WebSocket(this._devtoolsWsUrl, {perMessageDeflate: false});
+    let disconnected = false;
 
     socket.on('open', () => {
       socket.on('message', this._handleSocketData.bind(this));
@@ -366,7 +953,102 @@ class TeamsClient extends EventEmitter {
 
       // Tell Teams to send network events to us.
       socket.send(JSON.stringify({ id: this.REQ_ID_ENABLE_NET, method: 'Network.enable' }));
+
+      const attempts = this._connection.attempts;
+      this._connection.attempts = 0;
+      this._startHealthCheck();
+
+      if (this._connection.everConnected) {
+        this.emit(events.RECONNECTED, {attempts});
+      } else {
+        this._connection.everConnected = true;
+        this.emit(events.CONNECTED);
+      }
     });
+
+    // A socket which errors will also close, so both are funnelled into the same handler.
+    const onDisconnect = (reason) => {
+      if (disconnected)
+        return;
+
+      disconnected = true;
+
+      if (this._socket === socket)
+        this._socket = null;
+
+      this._stopHealthCheck();
+      this._saveListening();
+
+      if (this._connection.closed)
+        return;
+
+      this.emit(events.DISCONNECTED, {reason});
+      this._scheduleReconnect();
+    };
+
+    socket.on('error', (error) => onDisconnect(error.message ?? 'error'));
+    socket.on('close', (code) => onDisconnect(`closed (${code})`));
+  }
+
+  /**
+   * Try to connect again after a delay. Teams may have reloaded the shared worker, in which case it has a new
+   * debugger URL, so the target list is queried again before connecting.
+   */
+  _scheduleReconnect() {
+    const delay = Math.min(this.RECONNECT_DELAY_MIN * Math.pow(2, this._connection.attempts), this.RECONNECT_DELAY_MAX);
+    this._connection.attempts++;
+
+    clearTimeout(this._connection.reconnectTimer);
+    this._connection.reconnectTimer = setTimeout(() => {
+      if (this._connection.closed)
+        return;
+
+      findWorkerTarget(this._devtoolsEndpoint)
+        .then((target) => {
+          this._devtoolsWsUrl = target.webSocketDebuggerUrl;
+          this._connectSockets();
+        })
+        .catch((error) => {
+          console.error('Unable to find Teams worker target', error);
+          this._scheduleReconnect();
+        });
+    }, delay);
+  }
+
+  // Periodically ask the worker to evaluate something trivial. If it doesn't answer, the socket is dead.
+  _startHealthCheck() {
+    this._stopHealthCheck();
+
+    this._connection.healthTimer = setInterval(() => {
+      if (!this.isConnected() || this._connection.healthTimeout)
+        return;
+
+      const socket = this._socket;
+      this._connection.healthTimeout = setTimeout(() => {
+        this._connection.healthTimeout = null;
+        // Terminating fires the close event which starts reconnecting.
+        socket.terminate();
+      }, this.HEALTH_CHECK_TIMEOUT);
+
+      socket.send(JSON.stringify({
+        id: this.REQ_ID_HEALTH_CHECK,
+        method: 'Runtime.evaluate',
+        params: { expression: '1', returnByValue: true }
+      }));
+    }, this.HEALTH_CHECK_INTERVAL);
+  }
+
+  _stopHealthCheck() {
+    clearInterval(this._connection.healthTimer);
+    clearTimeout(this._connection.healthTimeout);
+    this._connection.healthTimer = null;
+    this._connection.healthTimeout = null;
+  }
+
+  // The listening time changes every health check, so it's only written to the store when the client stops listening.
+  _saveListening() {
+    if (this._connection.listening)
+      this._cache.set('client', 'listening', this._connection.listening);
   }
 
   /**
@@ -383,6 +1065,11 @@ class TeamsClient extends EventEmitter {
           return this.emit('tokenupdate.skype', msg.result);
         case this.REQ_ID_GET_TEAMS_TOKEN:
           return this.emit('tokenupdate.teams', msg.result);
+        case this.REQ_ID_HEALTH_CHECK:
+          clearTimeout(this._connection.healthTimeout);
+          this._connection.healthTimeout = null;
+          this._connection.listening = Date.now();
+          return;
       }
     } else if ('method' in msg && msg.method === 'Network.webSocketFrameReceived') {
       try {
@@ -411,10 +1098,17 @@ class TeamsClient extends EventEmitter {
         if (!('body' in payload))
           return;
 
+        const body = JSON.parse(payload.body);
+        if (this._journal)
+          this._journal.write({type: 'trouter', payload: body});
+
         // The message will be inspected and an event will potentially be emitted.
-        this._processMessage(JSON.parse(payload.body));
+        this._processMessage(body);
       } catch (error) {
         console.error(error);
+
+        if (this._journal)
+          this._journal.write({type: 'error', error: String(error && error.stack ? error.stack : error), frame: msg.params.response.payloadData});
       }
     }
   }
@@ -426,13 +1120,46 @@ class TeamsClient extends EventEmitter {
    * @returns {Promise}
    */
   _fetchSkypeRefreshToken() {
+    return this._acquireToken(this.REQ_ID_GET_SKYPE_TOKEN, 'tokenupdate.skype', 'https://api.spaces.skype.com')
+      .then((token) => {
+        // Update the refresh token.
+        this._tokens.skypeRefresh = token;
+      });
+  }
+
+  /**
+   * Fetch a token for the Teams API from Teams. Unlike the Skype token, the token Teams provides can be used directly,
+   * there is no second exchange.
+   * 
+   * @returns {Promise}
+   */
+  _fetchTeamsToken() {
+    return this._acquireToken(this.REQ_ID_GET_TEAMS_TOKEN, 'tokenupdate.teams', TEAMS_API_RESOURCE)
+      .then((token) => {
+        this._tokens.teams = token;
+      });
+  }
+
+  /**
+   * Have the shared worker acquire an AAD token for a resource. Resolves with the token and its expiry.
+   * 
+   * @param {number} requestId The devtools request ID, _handleSocketData emits the response under this ID.
+   * @param {string} eventName The event _handleSocketData emits for the request ID.
+   * @param {string} resource The resource the token is for.
+   * 
+   * @returns {Promise<object>}
+   */
+  _acquireToken(requestId, eventName, resource) {
+    if (!this.isConnected())
+      return Promise.reject('fetch.disconnected');
+
     const fetchToken = new Promise((resolve, reject) => {
-      // Execute this JS code in Teams to extract the Skype refresh token.
+      // Execute this JS code in Teams to acquire the token.
       this._socket.send(JSON.stringify({
-        id: this.REQ_ID_GET_SKYPE_TOKEN,
+        id: requestId,
         method: 'Runtime.evaluate',
         params: {
-          expression: "workerServer._stateAndRequestHandlers.get('graphql').requestHandler.contextValue.discoverService.aad.acquireTokenV2('https://api.spaces.skype.com');",
+          expression: `workerServer._stateAndRequestHandlers.get('graphql').requestHandler.contextValue.discoverService.aad.acquireTokenV2('${resource}');`,
           returnByValue: true,
           awaitPromise: true
         }
@@ -440,8 +1167,8 @@ class TeamsClient extends EventEmitter {
 
       // There can only be one message-handler function for the WebSocket, so _handleSocketData will receive the result
       // of the above code execution. _handleSocketData will then emit an event with the response of the execution which
-      // will provide the refresh token.
-      this.once('tokenupdate.skype', (response) => {
+      // will provide the token.
+      this.once(eventName, (response) => {
         if (
           typeof response === 'object'
           && 'result' in response
@@ -449,12 +1176,10 @@ class TeamsClient extends EventEmitter {
           && 'value' in response.result
           && typeof response.result.value === 'object'
         ) {
-          // Update the refresh token.
-          this._tokens.skypeRefresh = {
+          return resolve({
             token: response.result.value.token,
             expires: response.result.value.expires
-          };
-          return resolve();
+          });
         }
 
         reject('fetch.response');
@@ -474,25 +1199,320 @@ class TeamsClient extends EventEmitter {
    * @returns {Promise}
    */
   _refreshSkypeToken() {
-    return simpleRequest('https://teams.microsoft.com/api/authsvc/v1.0/authz', {
+    return simpleRequest(this._options.authUrl, {
       method: 'POST',
       headers: {
         'Content-Length': 0,
         'Authorization': `Bearer ${this._tokens.skypeRefresh.token}`
       },
-      timeout: 4000
+      timeout: this._options.timeout
     }).then((response) => {
       this._tokens.skype = {
         token: response.tokens.skypeToken,
         expires: parseInt(Date.now() / 1000) + response.tokens.expiresIn
       };
+
+      // The response says which region the account's chats are served from.
+      const chatService = response.regionGtms && response.regionGtms.chatService;
+      if (chatService)
+        this._cache.set('endpoints', 'chatService', chatService.replace(/\/+$/, ''));
     });
   }
 
 }
 
 /**
- * Make a simple request to a URL.
+ * Get the meeting details from the properties of a call message. The details are added in an update to the message
+ * shortly after it's posted.
+ * 
+ * @param {object} properties The properties of the message resource.
+ * 
+ * @returns {object|null} Null if the message doesn't have the details yet.
+ */
+function parseMeetingData(properties) {
+  if (!properties || !('meeting' in properties))
+    return null;
+
+  const meetingData = typeof properties.meeting === 'string' ? JSON.parse(properties.meeting) : properties.meeting;
+  return ('meetingJoinUrl' in meetingData) ? meetingData : null;
+}
+
+/**
+ * Parse the XML content of a call event message. Participants without a display name or duration are kept, with
+ * whatever Teams did report about them.
+ * 
+ * @param {string} content The content of the Event/Call message.
+ * 
+ * @returns {object} {organizerId, participants}
+ */
+function parseCallEvent(content) {
+  const root = xml.parse(content);
+  let organizerId;
+
+  const participants = xml.findAll(root, 'part').map((part) => {
+    const id = part.attributes.identity ?? xml.text(part, 'name');
+    const duration = parseInt(xml.text(part, 'duration'));
+    const type = participantType(id);
+    const role = (part.attributes.role ?? xml.text(part, 'role') ?? '').toLowerCase();
+
+    if (role === 'organizer' || role === 'organiser')
+      organizerId = id;
+
+    return {
+      id,
+      name: xml.text(part, 'displayName') || (type === 'anonymous' ? 'Anonymous' : id),
+      type,
+      duration: isNaN(duration) ? null : duration,
+      joinTime: part.attributes.joinTime ?? xml.text(part, 'joinTime'),
+      leaveTime: part.attributes.leaveTime ?? xml.text(part, 'leaveTime')
+    };
+  });
+
+  return {organizerId, participants};
+}
+
+/**
+ * Work out what kind of participant an identity is. Bot identities start with 28, users in the organisation are
+ * 8:orgid, and people from outside the organisation are guests or anonymous.
+ * 
+ * @param {string} id
+ * 
+ * @returns {string} 'bot', 'user', 'guest' or 'anonymous'
+ */
+function participantType(id) {
+  if (!id || id.startsWith('8:anonymous') || id.startsWith('8:teamsvisitor'))
+    return 'anonymous';
+
+  if (id.startsWith('28:'))
+    return 'bot';
+
+  if (id.startsWith('8:guest') || id.startsWith('8:live') || id.startsWith('8:sfb'))
+    return 'guest';
+
+  return 'user';
+}
+
+/**
+ * Build the markup and the mentions property for mentions in a message. A mention is
+ * {
+ *   id: string      ID of the user, or of the chat or channel to mention everyone in it
+ *   name: string    Text shown for the mention, defaults to 'Everyone' for chats and channels
+ *   type: string    'person', 'chat', 'channel' or 'team'. Worked out from the ID if not given.
+ * }
+ * 
+ * @param {string} content    Message content, with {@n} where the mention with index n should go.
+ * @param {object[]} mentions
+ * 
+ * @returns {object} {content, mentions} The content with the mentions' markup, and the mentions property.
+ * 
+ * @throws {string} 'message.mentions' if a mention isn't valid.
+ */
+function buildMentions(content, mentions) {
+  const valid = mentions.every((mention) => mention && typeof mention === 'object'
+    && typeof mention.id === 'string' && mention.id
+    && (mention.name === undefined || typeof mention.name === 'string')
+    && (mention.type === undefined || MENTION_TYPES.includes(mention.type)));
+  if (!valid)
+    throw 'message.mentions';
+
+  const described = mentions.map((mention, index) => {
+    const type = mention.type ?? mentionType(mention.id);
+
+    return {
+      '@type': MENTION_SCHEMA,
+      itemid: String(index),
+      // Users can be given by their object ID like the teachers in the config.
+      mri: (type === 'person' && !mention.id.includes(':')) ? `8:orgid:${mention.id}` : mention.id,
+      mentionType: type,
+      displayName: mention.name ?? (type === 'person' ? mention.id : 'Everyone')
+    };
+  });
+
+  const markup = (mention) => `<span itemscope="" itemtype="${MENTION_SCHEMA}" itemid="${mention.itemid}">${escapeHtml(mention.displayName)}</span>`;
+  const placed = new Set();
+
+  content = content.replace(/\{@(\d+)\}/g, (placeholder, index) => {
+    const mention = described[index];
+    if (!mention)
+      return placeholder;
+
+    placed.add(mention);
+    return markup(mention);
+  });
+
+  const unplaced = described.filter((mention) => !placed.has(mention));
+  if (unplaced.length)
+    content = `<p>${unplaced.map(markup).join(' ')}</p>${content}`;
+
+  return {content, mentions: described};
+}
+
+/**
+ * Work out what kind of mention an ID is for. Team channels are @thread.tacv2 (or @thread.skype for older teams),
+ * other threads are chats.
+ * 
+ * @param {string} id
+ * 
+ * @returns {string}
+ */
+function mentionType(id) {
+  if (/@thread\.(tacv2|skype)$/.test(id))
+    return 'channel';
+
+  if (/@(thread\.v2|unq\.gbl\.spaces)$/.test(id))
+    return 'chat';
+
+  return 'person';
+}
+
+// Token expiries are seconds since the epoch or a date string, depending on where the token came from.
+function tokenExpiry(token) {
+  if (!token || !token.expires)
+    return null;
+
+  const expires = typeof token.expires === 'number' && token.expires < 1e12 ? token.expires * 1000 : token.expires;
+  const date = new Date(expires);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+// When a message arrived at the server, in ms.
+function messageTime(message) {
+  return Date.parse(message.originalarrivaltime ?? message.composetime) || 0;
+}
+
+// The messaging API's links are absolute URLs, get the part skypeApiCall takes.
+function apiEndpoint(link) {
+  const index = link.indexOf('/v1/');
+  return index >= 0 ? link.substring(index + 3) : link;
+}
+
+/**
+ * Build the markup Teams uses to quote a message at the start of a reply.
+ * 
+ * @param {object} message The message to quote, as given by the NEW_MESSAGE event.
+ * 
+ * @returns {string}
+ */
+function buildQuote(message) {
+  // Shorten the plain text before escaping it, cutting the HTML could split an entity.
+  const preview = htmlToText(message.content ?? '');
+
+  return `<blockquote itemscope="" itemtype="${REPLY_SCHEMA}" itemid="${escapeHtml(message.id)}">`
+    + `<strong itemprop="mri" itemid="${escapeHtml(message.user.id)}">${escapeHtml(message.user.name ?? '')}</strong>`
+    + `<span itemprop="time" itemid="${escapeHtml(message.id)}"></span>`
+    + `<p itemprop="preview">${escapeHtml(preview.length > 100 ? `${preview.substring(0, 100)}…` : preview)}</p>`
+    + `</blockquote>`;
+}
+
+/**
+ * Convert the emotions property of a message into a map of reactions to the IDs of the users who reacted.
+ * The emotions property is a JSON string, keys are normalised to the values in the reactions table.
+ * 
+ * @param {object} properties The properties of the message resource.
+ * 
+ * @returns {object}
+ */
+function parseReactions(properties) {
+  if (!properties || !properties.emotions)
+    return {};
+
+  let emotions = properties.emotions;
+  try {
+    if (typeof emotions === 'string')
+      emotions = JSON.parse(emotions);
+  } catch (error) {
+    return {};
+  }
+
+  if (!Array.isArray(emotions))
+    return {};
+
+  return emotions.reduce((parsed, emotion) => {
+    const users = (emotion.users ?? []).map((user) => user.mri);
+
+    // Older clients send 'like' for the thumbs up reaction.
+    const key = emotion.key.toUpperCase() in reactions ? reactions[emotion.key.toUpperCase()] : emotion.key;
+
+    if (users.length)
+      parsed[key] = (parsed[key] ?? []).concat(users);
+
+    return parsed;
+  }, {});
+}
+
+/**
+ * An error response, or no response, from an API. The code is one of 'unauthorized', 'request_failed' or
+ * 'request_timed_out'. Requests which timed out have no status.
+ */
+class RequestError extends Error {
+  code;
+  status;
+  headers;
+  body;
+
+  constructor(code, response = {}) {
+    super(response.status ? `${code} (${response.status})` : code);
+    this.name = 'RequestError';
+    this.code = code;
+    this.status = response.status;
+    this.headers = response.headers ?? {};
+    this.body = response.body;
+  }
+
+  /**
+   * Whether the request could succeed if it is made again later.
+   * 
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+
+  /**
+   * How long the server asked to wait before retrying, in ms, or undefined if it didn't say.
+   * 
+   * @returns {number|undefined}
+   */
+  get retryAfter() {
+    const header = this.headers['retry-after'];
+    if (!header)
+      return undefined;
+
+    // Retry-After is either a number of seconds or a date.
+    const delay = /^\d+$/.test(header) ? parseInt(header) * 1000 : Date.parse(header) - Date.now();
+    return isNaN(delay) ? undefined : Math.max(delay, 0);
+  }
+}
+
+/**
+ * Make a request, retrying with exponential backoff if it fails with a rate limit or server error. A server error
+ * can happen after the request was carried out, so requests which aren't idempotent are only retried when they're
+ * rate limited, as they're rejected before anything is done.
+ * 
+ * @param {function} request    Makes the request, returns a Promise.
+ * @param {number} retries      How many times to retry.
+ * @param {boolean} idempotent  Whether making the request twice has the same effect as making it once.
+ * 
+ * @returns {Promise}
+ */
+function withRetries(request, retries = 3, idempotent = true) {
+  const attempt = (attempts) => request().catch((error) => {
+    if (!(error instanceof RequestError) || !error.retryable || attempts >= retries)
+      throw error;
+
+    if (!idempotent && error.status !== 429)
+      throw error;
+
+    const delay = error.retryAfter ?? Math.min(1000 * Math.pow(2, attempts), 60 * 1000);
+    return new Promise((resolve) => setTimeout(resolve, delay)).then(() => attempt(attempts + 1));
+  });
+
+  return attempt(0);
+}
+
+/**
+ * Make a simple request to a URL. Redirects are followed if options.maxRedirects is set, options.onRedirect is
+ * called with the new location of each redirect. Rejects with a RequestError if the response is an error.
  */
 function simpleRequest(url, options, data) {
   const protocol = url.startsWith('https') ? https : http;
@@ -505,11 +1525,14 @@ function simpleRequest(url, options, data) {
     }
 
     const request = protocol.request(url, options, (response) => {
-      if (response.statusCode >= 300) {
-        if (response.statusCode == 401 || response.statusCode == 403)
-          return reject('unauthorized');
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && options.maxRedirects > 0) {
+        response.resume();
 
-        return reject('request_failed');
+        const location = new URL(response.headers.location, url).toString();
+        if (options.onRedirect)
+          options.onRedirect(location);
+
+        return resolve(simpleRequest(location, Object.assign({}, options, {maxRedirects: options.maxRedirects - 1}), data));
       }
 
       response.setEncoding('utf-8');
@@ -520,16 +1543,30 @@ function simpleRequest(url, options, data) {
       });
 
       response.on('end', () => {
+        let body = raw;
         if (response.headers['content-type'] && response.headers['content-type'].indexOf('application/json') >= 0) {
-          return resolve(JSON.parse(raw));
+          try {
+            body = JSON.parse(raw);
+          } catch (error) {
+            if (response.statusCode < 300)
+              return reject(error);
+          }
         }
 
-        resolve(raw);
+        if (response.statusCode >= 300) {
+          const code = (response.statusCode == 401 || response.statusCode == 403) ? 'unauthorized' : 'request_failed';
+          return reject(new RequestError(code, {status: response.statusCode, headers: response.headers, body}));
+        }
+
+        resolve(body);
       });
     });
 
     request.on('error', reject);
-    request.on('timeout', () => reject('request_timed_out'));
+    request.on('timeout', () => {
+      request.destroy();
+      reject(new RequestError('request_timed_out'));
+    });
 
     if (data) {
       request.write(payload);
@@ -545,10 +1582,12 @@ function simpleRequest(url, options, data) {
  * 
  * @param {string} exePath Path to the Teams executable.
  * @param {number} port    Port where devtools is served.
+ * @param {object} options Options passed to the TeamsClient. options.startTimeout is how long to wait for Teams to
+ *                         start, in ms.
  * 
  * @returns {Promise<TeamsClient>}
  */
-function connect(exePath, port) {
+function connect(exePath, port, options = {}) {
   // Start Teams with DevTools protocol enabled.
   const teamsProc = childProcess.execFile(
     exePath,
@@ -564,13 +1603,61 @@ function connect(exePath, port) {
   });
 
   return spawned
-    // Wait 5s to give Teams time to start, it's electron garbage after all.
-    .then(() => new Promise((resolve) => setTimeout(resolve, 5000)))
-    // Make a request to the devtools server requesting a list of debug targets.
-    .then(() => simpleRequest(`http://localhost:${port}/json/list`, {
-      headers: {'Accept': 'application/json'},
-      timeout: 2000
-    }))
+    // Teams takes a while to start, it's electron garbage after all. Wait until the worker shows up.
+    .then(() => waitForWorkerTarget(devtoolsEndpoint(port), options.startTimeout ?? 60 * 1000))
+    .then((target) => new TeamsClient(target.webSocketDebuggerUrl, port, options));
+}
+
+/**
+ * Attach to Teams which is already running with devtools enabled, without starting it.
+ * 
+ * @param {number|string} devtools Port on localhost, host:port, or a URL of the devtools server. A ws:// URL is
+ *                                 connected to directly instead of looking for the worker.
+ * @param {object} options Options passed to the TeamsClient. options.startTimeout is how long to wait for the worker
+ *                         to show up, in ms.
+ * 
+ * @returns {Promise<TeamsClient>}
+ */
+function attach(devtools, options = {}) {
+  if (typeof devtools === 'string' && /^wss?:\/\//.test(devtools))
+    return Promise.resolve(new TeamsClient(devtools, devtools, options));
+
+  return waitForWorkerTarget(devtoolsEndpoint(devtools), options.startTimeout ?? 10 * 1000)
+    .then((target) => new TeamsClient(target.webSocketDebuggerUrl, devtools, options));
+}
+
+/**
+ * Get the base HTTP URL of a devtools server.
+ * 
+ * @param {number|string} devtools Port on localhost, host:port, or a http:// or ws:// URL.
+ * 
+ * @returns {string}
+ */
+function devtoolsEndpoint(devtools) {
+  if (typeof devtools === 'number' || /^\d+$/.test(devtools))
+    return `http://localhost:${devtools}`;
+
+  if (!/^[a-z]+:\/\//.test(devtools))
+    return `http://${devtools}`;
+
+  const url = new URL(devtools);
+  const protocol = (url.protocol === 'wss:' || url.protocol === 'https:') ? 'https:' : 'http:';
+  return `${protocol}//${url.host}`;
+}
+
+/**
+ * Query the devtools server for its debug targets and find the precompiled shared worker.
+ * 
+ * @param {string} endpoint Base URL of the devtools server.
+ * 
+ * @returns {Promise<object>}
+ */
+function findWorkerTarget(endpoint) {
+  // Make a request to the devtools server requesting a list of debug targets.
+  return simpleRequest(`${endpoint}/json/list`, {
+    headers: {'Accept': 'application/json'},
+    timeout: 2000
+  })
     .then((targets) => {
       // Find the precompiled shared worker frame.
       const target = targets.find((candidate) => candidate.type == 'shared_worker' && candidate.url.indexOf('precompiled') >= 0);
@@ -578,8 +1665,31 @@ function connect(exePath, port) {
       if (!target)
         throw "Unable to find precompiled-shared-worker";
 
-      return new TeamsClient(target.webSocketDebuggerUrl);
+      return target;
     });
 }
 
-module.exports = { events, reactions, connect };
\ No newline at end of file
+/**
+ * Poll the devtools server until the precompiled shared worker shows up. The server may not be listening yet if
+ * Teams is still starting.
+ * 
+ * @param {string} endpoint Base URL of the devtools server.
+ * @param {number} timeout  How long to keep trying, in ms.
+ * 
+ * @returns {Promise<object>}
+ */
+function waitForWorkerTarget(endpoint, timeout) {
+  const giveUp = Date.now() + timeout;
+
+  const poll = () => findWorkerTarget(endpoint)
+    .catch((error) => {
+      if (Date.now() >= giveUp)
+        throw error;
+
+      return new Promise((resolve) => setTimeout(resolve, 500)).then(poll);
+    });
+
+  return poll();
+}
+
+module.exports = { events, reactions, connect, attach, buildMentions, buildQuote, parseCallEvent, simpleRequest, withRetries, TeamsClient, RequestError };
\ No newline at end of file
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+/*
+Message templates. Templates are HTML with placeholders:
+  {{name}}            A value, HTML-escaped.
+  {{{name}}}          A value inserted as-is, for values which are already HTML.
+  {{#name}}...{{/name}}   Rendered only if the value is truthy. If the value is an array, rendered once for each
+                          item, with the item's properties added to the values.
+  {{^name}}...{{/name}}   Rendered only if the value is falsy.
+  {{> name}}          Another template, rendered with the same values.
+  {{emoticon:name}}   A Teams emoticon, either one of the names in the emoticons table or a Teams emoticon ID.
+
+Templates are looked up by name in the template maps given when rendering, in order, then in the templates
+directory as <name>.html. A template in a map is either the template itself or {file: string}, a path relative to
+the bot's directory. Line breaks and the indentation following them are removed from templates, so templates can be
+spread over several lines without adding whitespace to the message.
+*/
+
+// How deep partials can include other partials, so a partial which includes itself fails rather than overflowing
+// the stack.
+const MAX_PARTIAL_DEPTH = 10;
+
+const EMOTICON_URL = 'https://statics.teams.cdn.office.net/evergreen-assets/personal-expressions/v2/assets/emoticons';
+
+const emoticons = {
+  calendar: { id: '1f4c5_calendar', title: 'Calendar' },
+  student: { id: 'student', title: 'Student' },
+  clock: { id: '1f55b_twelveoclock', title: 'Twelve oclock' },
+  coolrobot: { id: 'coolrobot', title: 'Cool robot' }
+};
+
+class Templates {
+  _dir;
+  _baseDir;
+  _files = {};
+
+  /**
+   * @param {string} dir      Directory the default templates are in.
+   * @param {string} baseDir  Directory paths to template files in config are relative to.
+   */
+  constructor(dir, baseDir) {
+    this._dir = dir;
+    this._baseDir = baseDir ?? path.dirname(dir);
+  }
+
+  /**
+   * Render a template.
+   * 
+   * @param {string} name       Name of the template.
+   * @param {object} values     Values for the placeholders.
+   * @param {...object} scopes  Template maps to look for the template in, in order of priority. Falsy scopes are skipped.
+   * 
+   * @returns {string}
+   */
+  render(name, values, ...scopes) {
+    return render(this.get(name, ...scopes), values, (partial) => this.get(partial, ...scopes));
+  }
+
+  /**
+   * Get the source of a template.
+   * 
+   * @param {string} name       Name of the template.
+   * @param {...object} scopes  Template maps to look for the template in, in order of priority.
+   * 
+   * @returns {string}
+   */
+  get(name, ...scopes) {
+    const scope = scopes.find((candidate) => candidate && name in candidate);
+
+    if (scope) {
+      const template = scope[name];
+      return (typeof template === 'string') ? clean(template) : this._readFile(path.resolve(this._baseDir, template.file));
+    }
+
+    return this._readFile(path.join(this._dir, `${name}.html`));
+  }
+
+  /**
+   * Forget the template files which have been read, so changes to them are picked up.
+   */
+  clearCache() {
+    this._files = {};
+  }
+
+  _readFile(filePath) {
+    if (!(filePath in this._files)) {
+      try {
+        this._files[filePath] = clean(fs.readFileSync(filePath, 'utf-8'));
+      } catch (error) {
+        throw `Unable to read template ${filePath}`;
+      }
+    }
+
+    return this._files[filePath];
+  }
+}
+
+/**
+ * Render a template string.
+ * 
+ * @param {string} template
+ * @param {object} values
+ * @param {function} getPartial Returns the source of a partial template by name.
+ * @param {number} depth How many partials deep the template is.
+ * 
+ * @returns {string}
+ * 
+ * @throws {string} If partials are nested more than MAX_PARTIAL_DEPTH deep.
+ */
+function render(template, values, getPartial = () => '', depth = 0) {
+  const sections = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+
+  return template
+    .replace(sections, (_, type, name, inner) => {
+      const value = lookup(values, name);
+      const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+
+      if (truthy !== (type === '#'))
+        return '';
+
+      if (type === '#' && Array.isArray(value))
+        return value.map((item) => render(inner, Object.assign({}, values, item), getPartial, depth)).join('');
+
+      return render(inner, values, getPartial, depth);
+    })
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(>|emoticon:)?\s*([\w.-]+)\s*\}\}/g, (_, raw, type, name) => {
+      if (raw)
+        return toString(lookup(values, raw));
+
+      if (type === '>') {
+        if (depth >= MAX_PARTIAL_DEPTH)
+          throw `Template partial ${name} is nested too deeply, does it include itself?`;
+
+        return render(getPartial(name), values, getPartial, depth + 1);
+      }
+
+      if (type === 'emoticon:')
+        return emoticon(name);
+
+      return escapeHtml(toString(lookup(values, name)));
+    });
+}
+
+/**
+ * Build the markup Teams uses for an emoticon.
+ * 
+ * @param {string} name One of the names in the emoticons table, or a Teams emoticon ID.
+ * @param {string} title Title of the emoticon, defaults to the title in the emoticons table.
+ * 
+ * @returns {string}
+ */
+function emoticon(name, title) {
+  const known = emoticons[name] ?? {id: name, title: name};
+  const id = escapeHtml(known.id);
+  title = escapeHtml(title ?? known.title);
+
+  let markup = `<span contenteditable="false" title="${title}" type="(${id})" class="animated-emoticon-20-${id}">`;
+  markup += `<img itemscope itemtype="http://schema.skype.com/Emoji" itemid="${id}" src="${EMOTICON_URL}/${id}/default/20_f.png" title="${title}" style="width:20px;height:20px;"></span>`;
+  return markup;
+}
+
+// Look up a dotted name in the values.
+function lookup(values, name) {
+  return name.split('.').reduce((value, key) => (value === undefined || value === null) ? undefined : value[key], values);
+}
+
+function toString(value) {
+  return (value === undefined || value === null) ? '' : String(value);
+}
+
+function clean(template) {
+  return template.replace(/\r?\n\s*/g, '');
+}
+
+module.exports = { Templates, render, emoticon, emoticons };
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const AdminPlugin = require('../plugins/admin');
+const { RequestError, buildMentions } = require('../teams');
+const { MemoryStore } = require('../store');
+
+const TOKEN = 'secret-token';
+const CHANNEL = '19:chat@thread.v2';
+
+function createContext(client, replaying = false) {
+  return {
+    client,
+    replaying,
+    store: new MemoryStore(),
+    config: {classes: []},
+    logger: {info() {}, error() {}}
+  };
+}
+
+// Make a request to the plugin's server, resolving with {status, body}.
+function request(port, method, path, options = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = {'Content-Type': 'application/json'};
+    if (options.token)
+      headers.Authorization = `Bearer ${options.token}`;
+
+    const req = http.request({host: '127.0.0.1', port, method, path, headers}, (response) => {
+      let raw = '';
+      response.setEncoding('utf-8');
+      response.on('data', (chunk) => raw += chunk);
+      response.on('end', () => resolve({status: response.statusCode, body: JSON.parse(raw)}));
+    });
+
+    req.on('error', reject);
+    req.end(options.body ? JSON.stringify(options.body) : undefined);
+  });
+}
+
+describe('AdminPlugin', () => {
+  let plugin;
+  let port;
+  let failWith;
+
+  const client = {
+    getStatus: () => ({connected: true}),
+    sendMessage: (channelId, content, options) => Promise.resolve()
+      .then(() => {
+        if (failWith)
+          throw failWith;
+
+        // Like the client, mentions are built as the message is sent.
+        if (options.mentions)
+          buildMentions(content, options.mentions);
+
+        return {clientMessageId: '13371'};
+      })
+  };
+
+  before(async () => {
+    plugin = new AdminPlugin({port: 0, host: '127.0.0.1', token: TOKEN});
+    plugin.init(createContext(client));
+    await plugin.start();
+    port = plugin._server.address().port;
+  });
+
+  after(() => plugin.stop());
+
+  it('requires the token', async () => {
+    assert.deepStrictEqual(await request(port, 'GET', '/status'), {status: 401, body: {error: 'unauthorized'}});
+    assert.strictEqual((await request(port, 'GET', '/status', {token: 'wrong'})).status, 401);
+    assert.strictEqual((await request(port, 'GET', '/status', {token: `${TOKEN}-longer`})).status, 401);
+
+    const status = await request(port, 'GET', '/status', {token: TOKEN});
+    assert.strictEqual(status.status, 200);
+    assert.deepStrictEqual(status.body, {connected: true, announced: []});
+  });
+
+  it('posts messages', async () => {
+    const posted = await request(port, 'POST', '/messages', {token: TOKEN, body: {channel: CHANNEL, content: '<p>Hi</p>'}});
+
+    assert.deepStrictEqual(posted, {status: 201, body: {clientMessageId: '13371'}});
+  });
+
+  it('responds 400 to messages which aren\'t valid', async () => {
+    assert.deepStrictEqual(await request(port, 'POST', '/messages', {token: TOKEN, body: {channel: CHANNEL}}), {
+      status: 400,
+      body: {error: 'message.missing_fields'}
+    });
+
+    assert.deepStrictEqual(await request(port, 'POST', '/messages', {token: TOKEN, body: {channel: CHANNEL, content: '<p>Hi</p>', mentions: 'everyone'}}), {
+      status: 400,
+      body: {error: 'message.mentions'}
+    });
+
+    assert.deepStrictEqual(await request(port, 'POST', '/messages', {token: TOKEN, body: {channel: CHANNEL, content: '<p>Hi</p>', mentions: [{name: 'No ID'}]}}), {
+      status: 400,
+      body: {error: 'message.mentions'}
+    });
+  });
+
+  it('responds 502 when Teams fails and 500 when the bot does', async () => {
+    const body = {channel: CHANNEL, content: '<p>Hi</p>'};
+
+    failWith = new RequestError('request_failed', {status: 503});
+    assert.deepStrictEqual(await request(port, 'POST', '/messages', {token: TOKEN, body}), {status: 502, body: {error: 'request_failed'}});
+
+    failWith = new Error('Something broke');
+    assert.deepStrictEqual(await request(port, 'POST', '/messages', {token: TOKEN, body}), {status: 500, body: {error: 'failed'}});
+
+    failWith = null;
+  });
+
+  it('doesn\'t listen while replaying', async () => {
+    // The bot is already listening on the port.
+    const replay = new AdminPlugin({port, host: '127.0.0.1', token: TOKEN});
+    replay.init(createContext(client, true));
+
+    await replay.start();
+    await replay.stop();
+  });
+});
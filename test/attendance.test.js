@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Attendance } = require('../attendance');
+const { MemoryStore } = require('../store');
+
+describe('Attendance', () => {
+  const meeting = {
+    id: 'meeting-1',
+    channel: {id: '19:class@thread.tacv2'},
+    participants: [
+      {id: 'a', name: 'Stayed', duration: 3600},
+      {id: 'b', name: 'Left early', duration: 300},
+      {id: 'c', name: 'Unknown', duration: null}
+    ]
+  };
+
+  it('flags participants below the minimum, but not those without a duration', () => {
+    const attendance = new Attendance(new MemoryStore(), {minDuration: 30, timezone: 'UTC'});
+    attendance.record({title: 'Class A'}, meeting, new Date('2023-07-17T10:00:00Z'));
+
+    const [record] = attendance.query({class: 'Class A'});
+    assert.deepStrictEqual(record.flagged.map((participant) => participant.name), ['Left early']);
+
+    const csv = attendance.export('csv').trim().split('\n');
+    assert.strictEqual(csv[3], 'Class A,2023-07-17,meeting-1,c,Unknown,,no');
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const calendar = require('../calendar');
+
+describe('calendar', () => {
+  const terms = {
+    timezone: 'Australia/Sydney',
+    calendar: {
+      terms: [{start: '2023-07-17', end: '2023-09-22'}, {start: '2023-10-09'}],
+      breaks: [{from: '2023-08-28', until: '2023-09-03'}]
+    }
+  };
+
+  it('counts weeks across terms, skipping breaks', () => {
+    const cal = calendar.fromConfig(terms);
+
+    assert.strictEqual(calendar.getCourseWeek(cal, new Date('2023-07-18T00:00:00Z')), 1);
+    assert.strictEqual(calendar.getCourseWeek(cal, new Date('2023-08-29T00:00:00Z')), null);
+    assert.strictEqual(calendar.getCourseWeek(cal, new Date('2023-09-05T00:00:00Z')), 7);
+    assert.strictEqual(calendar.getCourseWeek(cal, new Date('2023-10-10T00:00:00Z')), 10);
+    assert.strictEqual(calendar.getWeekLabel(cal, new Date('2023-08-29T00:00:00Z')), 'BREAK');
+  });
+
+  it('has no weeks without a calendar or courseStart', () => {
+    const cal = calendar.fromConfig({timezone: 'UTC'});
+
+    assert.strictEqual(cal, null);
+    assert.strictEqual(calendar.getCourseWeek(cal, new Date()), null);
+    assert.strictEqual(calendar.getWeekLabel(cal, new Date()), null);
+  });
+
+  it('skips terms without a start', () => {
+    assert.strictEqual(calendar.getCourseWeek(calendar.fromConfig({calendar: {terms: [{}]}}), new Date()), null);
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const teams = require('../teams');
+const { Templates } = require('../templates');
+const { MemoryStore } = require('../store');
+const { PluginHost } = require('../plugins');
+const { createHarness, frames } = require('../harness');
+
+const TEACHER = 'abc-def-123-456-789';
+const CLASS_CHANNEL = '12:abcdef123456789@thread.tacv2';
+const GROUP_CHAT = '12:abcdef123456789@thread.v2';
+const ATTENDANCE_FILE = path.join(os.tmpdir(), `attendance-catchup-${process.pid}.json`);
+
+// Call messages for a meeting in the class channel, as they are in the channel's history.
+function meetingMessages(meetingId, started, ended) {
+  const meeting = {
+    messageId: `${meetingId}-start`,
+    meetingId,
+    channelId: CLASS_CHANNEL,
+    organizerId: TEACHER,
+    title: 'Class A',
+    joinUrl: `https://teams.microsoft.com/l/meetup-join/${meetingId}`,
+    participants: [{id: 'student-1', name: 'Student', duration: 600}]
+  };
+
+  const messages = [];
+
+  if (started) {
+    const details = frames.callDetails(meeting).resource;
+    details.composetime = started.toISOString();
+    messages.push(details);
+  }
+
+  if (ended) {
+    const end = frames.callEnded(meeting).resource;
+    end.composetime = ended.toISOString();
+    messages.push(end);
+  }
+
+  return messages;
+}
+
+// Resolves once the condition is true, checking every 20ms.
+function waitFor(condition, timeout = 5000) {
+  const started = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition())
+        return resolve();
+
+      if (Date.now() - started > timeout)
+        return reject(new Error('Timed out waiting'));
+
+      setTimeout(check, 20);
+    };
+
+    check();
+  });
+}
+
+describe('catchUp', () => {
+  let harness;
+  const received = [];
+
+  before(async () => {
+    harness = await createHarness();
+    harness.client.on(teams.events.NEW_MEETING, (meeting) => received.push(['NEW_MEETING', meeting]));
+    harness.client.on(teams.events.MEETING_ENDED, (meeting) => received.push(['MEETING_ENDED', meeting]));
+  });
+
+  after(() => harness.stop());
+
+  it('emits the meetings missed while the client wasn\'t listening', async () => {
+    const now = Date.now();
+    const messages = [].concat(
+      meetingMessages('meeting-on', new Date(now - 20 * 60 * 1000)),
+      meetingMessages('meeting-over', new Date(now - 60 * 60 * 1000), new Date(now - 50 * 60 * 1000))
+    );
+    messages.forEach((message) => harness.services.addMessage(message));
+
+    assert.strictEqual(await harness.client.catchUp([CLASS_CHANNEL]), 2);
+
+    // The meeting which is over only gets its end, with the details from its start.
+    assert.deepStrictEqual(received.map(([event, meeting]) => [event, meeting.id, meeting.recovered]), [
+      ['MEETING_ENDED', 'meeting-over', true],
+      ['NEW_MEETING', 'meeting-on', true]
+    ]);
+
+    const [, over] = received[0];
+    assert.strictEqual(over.messageId, 'meeting-over-start');
+    assert.strictEqual(over.title, 'Class A');
+    assert.strictEqual(over.startTime, new Date(now - 60 * 60 * 1000).toISOString());
+  });
+
+  it('doesn\'t emit meetings it has already caught up on', async () => {
+    received.length = 0;
+
+    assert.strictEqual(await harness.client.catchUp([CLASS_CHANNEL]), 0);
+    assert.deepStrictEqual(received, []);
+  });
+
+  it('only looks back as far as it\'s asked to', async () => {
+    const now = Date.now();
+    meetingMessages('meeting-old', new Date(now - 3 * 60 * 60 * 1000)).forEach((message) => harness.services.addMessage(message));
+
+    assert.strictEqual(await harness.client.catchUp([CLASS_CHANNEL], {since: now - 2 * 60 * 60 * 1000}), 0);
+  });
+});
+
+describe('catching up on missed classes', () => {
+  let harness;
+  let plugins;
+  let ended;
+
+  before(async () => {
+    const store = new MemoryStore();
+    harness = await createHarness({store});
+
+    // The class started ten minutes ago.
+    const now = Date.now();
+    const start = new Date(now - 10 * 60 * 1000);
+    const config = {
+      timezone: 'UTC',
+      teachers: [TEACHER],
+      groupChatChannel: GROUP_CHAT,
+      calendar: {terms: [{start: '2023-07-17'}]},
+      attendance: {file: ATTENDANCE_FILE},
+      classes: [{
+        title: 'Class A',
+        channels: [CLASS_CHANNEL],
+        start: {day: start.getUTCDay(), hour: start.getUTCHours(), mins: start.getUTCMinutes()}
+      }]
+    };
+
+    store.set('teachers', TEACHER, {id: TEACHER, name: 'Teacher', lookedUp: now});
+
+    // One meeting with its start message, and one whose start message has gone. Both ended a minute ago.
+    ended = new Date(now - 60 * 1000);
+    [].concat(
+      meetingMessages('meeting-seen', start, ended),
+      meetingMessages('meeting-unseen', null, ended)
+    ).forEach((message) => harness.services.addMessage(message));
+
+    const templates = new Templates(path.join(__dirname, '..', 'templates'), path.join(__dirname, '..'));
+    plugins = new PluginHost({client: harness.client, config, store, templates, replaying: false}, path.join(__dirname, '..'));
+    await plugins.load({meetings: true, attendance: true});
+    await plugins.start();
+  });
+
+  after(async () => {
+    await plugins.stop();
+    await harness.stop();
+    fs.rmSync(ATTENDANCE_FILE, {force: true});
+  });
+
+  it('posts the summaries, linking to the chat only when the start message is known', async () => {
+    const isSummary = (request) => request.method === 'POST' && request.path.includes(`/conversations/${GROUP_CHAT}/messages`);
+    await waitFor(() => harness.services.requests.filter(isSummary).length === 2);
+
+    const summaries = harness.services.requests.filter(isSummary).map((request) => request.body.content);
+    const links = summaries.map((content) => (content.match(/https:\/\/teams\.microsoft\.com\/l\/message\/[^"]+/) ?? [null])[0]);
+
+    assert.deepStrictEqual(links.sort(), [`https://teams.microsoft.com/l/message/${CLASS_CHANNEL}/meeting-seen-start`, null].sort());
+    assert.ok(summaries.every((content) => !content.includes('undefined')));
+  });
+
+  it('records the attendance of the meetings when they ended', () => {
+    const records = plugins.get('attendance').attendance.query({class: 'Class A'});
+
+    assert.deepStrictEqual(records.map((record) => [record.meetingId, record.time]).sort(), [
+      ['meeting-seen', ended.getTime()],
+      ['meeting-unseen', ended.getTime()]
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CommandRouter } = require('../commands');
+
+const BOT = 'fed-cba-987-654-321';
+
+// A client which echoes sent messages back, like Teams does.
+function createClient() {
+  let lastId = 0;
+
+  const client = {
+    sent: [],
+    newClientMessageId() {
+      return `1337${++lastId}`;
+    },
+    sendMessage(channelId, content, options = {}) {
+      const clientMessageId = options.clientMessageId ?? client.newClientMessageId();
+      client.sent.push({channelId, content, clientMessageId});
+      return Promise.resolve({clientMessageId});
+    }
+  };
+
+  return client;
+}
+
+function message(content, userId, clientMessageId) {
+  return {content, clientMessageId, user: {id: `8:orgid:${userId}`, name: 'Someone'}, channel: {id: '19:chat@thread.v2'}};
+}
+
+describe('CommandRouter', () => {
+  it('doesn\'t answer messages from the bot\'s account', async () => {
+    const client = createClient();
+    const commands = new CommandRouter(client, {botUserId: BOT});
+    commands.register('echo', {handler: ({reply}) => reply('<p>!echo</p>')});
+
+    await commands.handleMessage(message('!echo', 'student'));
+    assert.strictEqual(client.sent.length, 1);
+
+    await commands.handleMessage(message('!echo', BOT, 'other'));
+    assert.strictEqual(client.sent.length, 1);
+  });
+
+  it('doesn\'t answer its own replies without the bot\'s account ID', async () => {
+    const client = createClient();
+    const commands = new CommandRouter(client);
+    commands.register('echo', {handler: ({reply}) => reply('<p>!echo</p>')});
+
+    await commands.handleMessage(message('!echo', 'student'));
+    const [reply] = client.sent;
+
+    await commands.handleMessage(message(reply.content, 'bot', reply.clientMessageId));
+    assert.strictEqual(client.sent.length, 1);
+  });
+
+  it('doesn\'t answer its own reply when the echo arrives before the send resolves', async () => {
+    const client = createClient();
+    const commands = new CommandRouter(client);
+    commands.register('help', {handler: ({reply}) => reply('<ul><li><code>!help</code> List the commands</li></ul>')});
+
+    // Teams echoes the reply back while the send is still waiting for its response.
+    let echoed;
+    const sendMessage = client.sendMessage;
+    client.sendMessage = (channelId, content, options) => {
+      client.sendMessage = sendMessage;
+      echoed = commands.handleMessage(message(content, 'bot', options.clientMessageId));
+      return echoed.then(() => sendMessage(channelId, content, options));
+    };
+
+    await commands.handleMessage(message('!help', 'student'));
+    await echoed;
+    assert.strictEqual(client.sent.length, 1);
+  });
+});
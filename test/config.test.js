@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateConfig } = require('../config');
+
+const baseDir = path.join(__dirname, '..');
+
+// A fresh copy of the sample config, changed by the callback.
+function sample(change = () => {}) {
+  const config = JSON.parse(fs.readFileSync(path.join(baseDir, 'config-sample.json'), 'utf-8'));
+  change(config);
+  return config;
+}
+
+describe('validateConfig', () => {
+  it('accepts the sample config', () => {
+    assert.deepStrictEqual(validateConfig(sample(), baseDir), []);
+  });
+
+  it('requires a calendar or courseStart', () => {
+    assert.deepStrictEqual(validateConfig(sample((config) => delete config.calendar), baseDir), ['calendar must be set, or courseStart']);
+
+    assert.deepStrictEqual(validateConfig(sample((config) => {
+      delete config.calendar;
+      config.courseStart = '2023-07-17';
+    }), baseDir), []);
+
+    assert.deepStrictEqual(validateConfig(sample((config) => {
+      delete config.calendar;
+      config.courseStart = '17/07/2023';
+    }), baseDir), ['courseStart must be a date, YYYY-MM-DD, got "17/07/2023"']);
+  });
+
+  it('checks the bot\'s user ID', () => {
+    assert.deepStrictEqual(validateConfig(sample((config) => config.botUserId = '8:orgid:fed cba'), baseDir), [
+      'botUserId must be a user ID, e.g. 8f8a1b2c-..., got "8:orgid:fed cba"'
+    ]);
+
+    assert.deepStrictEqual(validateConfig(sample((config) => delete config.botUserId), baseDir), [
+      'botUserId must be set, so the bot doesn\'t answer its own messages'
+    ]);
+  });
+
+  it('checks session times', () => {
+    const errors = validateConfig(sample((config) => config.classes[0].start = {day: 7, hour: 24, mins: 60}), baseDir);
+
+    assert.deepStrictEqual(errors, [
+      'classes[0].start.day must be a whole number from 0 to 6, got 7',
+      'classes[0].start.hour must be a whole number from 0 to 23, got 24',
+      'classes[0].start.mins must be a whole number from 0 to 59, got 60'
+    ]);
+  });
+
+  it('checks channel IDs and channels shared between classes', () => {
+    const errors = validateConfig(sample((config) => {
+      config.classes[0].channels[1] = 'abcdef';
+      config.classes[1].channels[0] = config.classes[0].channels[0];
+    }), baseDir);
+
+    assert.deepStrictEqual(errors, [
+      'classes[0].channels[1] must be a chat or channel ID, e.g. 19:abc123@thread.tacv2, got "abcdef"',
+      `classes[1].channels has ${sample().classes[0].channels[0]}, which is already a channel of classes[0]`
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const teams = require('../teams');
+const { Templates } = require('../templates');
+const { MemoryStore } = require('../store');
+const { PluginHost } = require('../plugins');
+const { createHarness, loadFixture, frames } = require('../harness');
+
+const TEACHER = 'abc-def-123-456-789';
+const CLASS_CHANNEL = '12:abcdef123456789@thread.tacv2';
+const GROUP_CHAT = '12:abcdef123456789@thread.v2';
+const ATTENDANCE_FILE = path.join(os.tmpdir(), `attendance-${process.pid}.json`);
+
+// Resolves once the condition is true, checking every 20ms.
+function waitFor(condition, timeout = 5000) {
+  const started = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition())
+        return resolve();
+
+      if (Date.now() - started > timeout)
+        return reject(new Error('Timed out waiting'));
+
+      setTimeout(check, 20);
+    };
+
+    check();
+  });
+}
+
+describe('class session fixture', () => {
+  let harness;
+  let plugins;
+  const calls = [];
+
+  before(async () => {
+    const store = new MemoryStore();
+    harness = await createHarness({store});
+    const { client } = harness;
+
+    // The class is on now, wherever the fixture's times are moved to.
+    const now = new Date();
+    const config = {
+      timezone: 'UTC',
+      teachers: [TEACHER],
+      groupChatChannel: GROUP_CHAT,
+      calendar: {terms: [{start: '2023-07-17'}]},
+      attendance: {file: ATTENDANCE_FILE},
+      classes: [{
+        title: 'Class A',
+        channels: [CLASS_CHANNEL],
+        start: {day: now.getUTCDay(), hour: now.getUTCHours(), mins: now.getUTCMinutes()}
+      }]
+    };
+
+    // The teacher's name would be looked up from Graph, which the harness doesn't stub.
+    store.set('teachers', TEACHER, {id: TEACHER, name: 'Teacher', lookedUp: Date.now()});
+
+    client.on(teams.events.NEW_MEETING, (meeting) => calls.push(['NEW_MEETING', meeting.id]));
+    client.on(teams.events.MEETING_ENDED, (meeting) => calls.push(['MEETING_ENDED', meeting.id]));
+
+    const sendMessage = client.sendMessage.bind(client);
+    client.sendMessage = (channelId, ...args) => {
+      calls.push(['sendMessage', channelId]);
+      return sendMessage(channelId, ...args);
+    };
+
+    const editMessage = client.editMessage.bind(client);
+    client.editMessage = (channelId, messageId, ...args) => {
+      calls.push(['editMessage', channelId, messageId]);
+      return editMessage(channelId, messageId, ...args);
+    };
+
+    const templates = new Templates(path.join(__dirname, '..', 'templates'), path.join(__dirname, '..'));
+    plugins = new PluginHost({client, config, store, templates, replaying: false}, path.join(__dirname, '..'));
+    await plugins.load({meetings: true, attendance: true});
+    await plugins.start();
+  });
+
+  after(async () => {
+    await plugins.stop();
+    await harness.stop();
+    fs.rmSync(ATTENDANCE_FILE, {force: true});
+  });
+
+  it('announces the class and replaces the announcement with the summary', {timeout: 15000}, async () => {
+    await harness.devtools.replay(loadFixture('class-session'));
+    await waitFor(() => calls.some(([name]) => name === 'editMessage'));
+
+    const meetingId = calls.find(([name]) => name === 'NEW_MEETING')[1];
+    assert.deepStrictEqual(calls.map(([name]) => name), ['NEW_MEETING', 'sendMessage', 'MEETING_ENDED', 'editMessage']);
+    assert.deepStrictEqual(calls.find(([name]) => name === 'MEETING_ENDED'), ['MEETING_ENDED', meetingId]);
+
+    const posted = harness.services.requests.find((request) => request.method === 'POST' && request.path.includes(`/conversations/${GROUP_CHAT}/messages`));
+    assert.ok(posted, 'The announcement was posted to the group chat');
+    assert.match(posted.body.content, /Class A/);
+
+    // The summary replaces the announcement, using the ID Teams gave it.
+    const edit = calls.find(([name]) => name === 'editMessage');
+    assert.strictEqual(edit[1], GROUP_CHAT);
+
+    const edited = harness.services.requests.find((request) => request.method === 'PUT' && request.path.endsWith(`/messages/${edit[2]}`));
+    assert.ok(edited, 'The announcement was edited');
+    assert.notStrictEqual(edited.body.content, posted.body.content);
+  });
+
+  it('records the attendance of the class', () => {
+    const records = plugins.get('attendance').attendance.query({class: 'Class A'});
+
+    assert.ok(records.length > 0);
+  });
+});
+
+describe('reconnecting', () => {
+  let harness;
+
+  before(async () => {
+    harness = await createHarness();
+    // Reconnect straight away rather than after a second.
+    harness.client.RECONNECT_DELAY_MIN = 10;
+  });
+
+  after(() => harness.stop());
+
+  it('reconnects when the worker is reloaded and still receives messages', {timeout: 15000}, async () => {
+    const { client, devtools } = harness;
+    const received = [];
+
+    client.on(teams.events.DISCONNECTED, () => received.push('DISCONNECTED'));
+    client.on(teams.events.RECONNECTED, () => received.push('RECONNECTED'));
+    client.on(teams.events.NEW_MESSAGE, (message) => received.push(message.content));
+
+    devtools.reloadWorker();
+    await waitFor(() => received.includes('RECONNECTED'));
+    assert.ok(client.isConnected());
+
+    devtools.sendMessage(frames.chatMessage({
+      id: '1',
+      clientMessageId: '42',
+      channelId: GROUP_CHAT,
+      from: '8:orgid:student',
+      content: '<p>Still here?</p>'
+    }));
+    await waitFor(() => received.includes('<p>Still here?</p>'));
+
+    assert.deepStrictEqual(received, ['DISCONNECTED', 'RECONNECTED', '<p>Still here?</p>']);
+  });
+});
+
+describe('sending messages', () => {
+  let harness;
+
+  before(async () => {
+    harness = await createHarness();
+  });
+
+  after(() => harness.stop());
+
+  it('retries a failed send with the same client ID', async () => {
+    const isSend = (method, requestPath) => method === 'POST' && requestPath.endsWith(`/conversations/${GROUP_CHAT}/messages`);
+    harness.services.respondWith(isSend, {status: 503, headers: {'Retry-After': '0'}});
+
+    const { clientMessageId } = await harness.client.sendMessage(GROUP_CHAT, '<p>Hello</p>');
+
+    const sends = harness.services.requests.filter((request) => isSend(request.method, request.path));
+    assert.strictEqual(sends.length, 2);
+    assert.deepStrictEqual(sends.map((request) => request.body.clientmessageid), [clientMessageId, clientMessageId]);
+  });
+
+  it('gives messages sent together different client IDs', async () => {
+    const sent = await Promise.all([1, 2, 3].map((n) => harness.client.sendMessage(GROUP_CHAT, `<p>${n}</p>`)));
+
+    assert.strictEqual(new Set(sent.map((message) => message.clientMessageId)).size, 3);
+  });
+});
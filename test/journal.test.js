@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Journal, ReplayClient, readJournal } = require('../journal');
+const { CommandRouter } = require('../commands');
+const { events } = require('../teams');
+const { frames } = require('../harness');
+
+const CHAT = '19:chat@thread.v2';
+
+describe('Journal', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  });
+
+  after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('redacts tokens, auth headers and the fields it\'s asked to', async () => {
+    const journal = new Journal(path.join(dir, 'redact'), {redact: ['content']});
+
+    await journal.write({
+      type: 'api',
+      endpoint: '/users/ME/conversations?skypetoken=abc123&view=all',
+      data: {content: '<p>Hello</p>', headers: {Authorization: 'Bearer abc123', Accept: 'application/json'}},
+      response: {tokens: {skypeToken: 'abc123'}, note: 'sent with Bearer abc123'}
+    });
+
+    const [entry] = readJournal(path.join(dir, 'redact', 'journal.jsonl'));
+    assert.strictEqual(entry.endpoint, '/users/ME/conversations?skypetoken=[redacted]&view=all');
+    assert.deepStrictEqual(entry.data, {content: '[redacted]', headers: {Authorization: '[redacted]', Accept: 'application/json'}});
+    assert.deepStrictEqual(entry.response, {tokens: '[redacted]', note: 'sent with Bearer [redacted]'});
+    assert.ok(!fs.readFileSync(path.join(dir, 'redact', 'journal.jsonl'), 'utf-8').includes('abc123'));
+  });
+
+  it('rotates the journal when it gets too big, keeping maxFiles old journals', async () => {
+    const journalDir = path.join(dir, 'rotate');
+    const journal = new Journal(journalDir, {maxSize: 200, maxFiles: 2});
+
+    for (let index = 0; index < 10; index++)
+      await journal.write({type: 'trouter', payload: {index, padding: 'x'.repeat(40)}});
+
+    assert.deepStrictEqual(fs.readdirSync(journalDir).sort(), ['journal.1.jsonl', 'journal.2.jsonl', 'journal.jsonl']);
+    for (const file of fs.readdirSync(journalDir))
+      assert.ok(fs.statSync(path.join(journalDir, file)).size <= 200);
+
+    // The newest entries are in the current journal, the older ones in order before them.
+    const indexes = readJournal(...['journal.2.jsonl', 'journal.1.jsonl', 'journal.jsonl'].map((file) => path.join(journalDir, file)))
+      .map((entry) => entry.payload.index);
+    assert.strictEqual(indexes[indexes.length - 1], 9);
+    assert.deepStrictEqual(indexes, [...indexes].sort((a, b) => a - b));
+  });
+
+  it('starts again without keeping old journals when maxFiles is 0', async () => {
+    const journalDir = path.join(dir, 'none');
+    const journal = new Journal(journalDir, {maxSize: 200, maxFiles: 0});
+
+    for (let index = 0; index < 10; index++)
+      await journal.write({type: 'trouter', payload: {index, padding: 'x'.repeat(40)}});
+
+    assert.deepStrictEqual(fs.readdirSync(journalDir), ['journal.jsonl']);
+  });
+});
+
+describe('ReplayClient', () => {
+  // A student asking for help, the bot's reply, and Teams echoing the reply back to the bot.
+  const helpReply = '<ul><li><code>!next</code> When the next class is</li></ul>';
+  const entries = [
+    {
+      time: '2023-07-17T00:00:00.000Z',
+      type: 'trouter',
+      payload: frames.chatMessage({id: '1', clientMessageId: '42', channelId: CHAT, from: '8:orgid:student', content: '<p>!help</p>'})
+    },
+    {
+      time: '2023-07-17T00:00:01.000Z',
+      type: 'api',
+      api: 'skype',
+      method: 'POST',
+      endpoint: `/users/ME/conversations/${CHAT}/messages`,
+      data: {clientmessageid: '13371689552001000', content: helpReply},
+      response: {OriginalArrivalTime: 1689552001000}
+    },
+    {
+      time: '2023-07-17T00:00:01.500Z',
+      type: 'trouter',
+      payload: frames.chatMessage({id: '2', clientMessageId: '13371689552001000', channelId: CHAT, from: '8:orgid:bot', content: helpReply})
+    }
+  ];
+
+  it('doesn\'t replay the recorded echoes of the bot\'s own messages', async () => {
+    const client = new ReplayClient(entries);
+    const commands = new CommandRouter(client);
+    const used = [];
+
+    commands.register('help', {handler: ({reply}) => {
+      used.push('help');
+      return reply(helpReply);
+    }});
+    commands.register('next', {handler: () => used.push('next')});
+
+    client.on(events.NEW_MESSAGE, (message) => commands.handleMessage(message));
+
+    const received = [];
+    client.on(events.NEW_MESSAGE, (message) => received.push(message.clientMessageId));
+
+    assert.strictEqual(await client.replay(), 1);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    // The student's message and the replay's own echo of the reply, but not the recorded echo.
+    assert.deepStrictEqual(used, ['help']);
+    assert.strictEqual(received.length, 2);
+    assert.ok(!received.includes('13371689552001000'));
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const MeetingsPlugin = require('../plugins/meetings');
+const { MemoryStore } = require('../store');
+
+const TEACHER = 'abc-def-123-456-789';
+
+function createPlugin(getUser) {
+  const client = Object.assign(new EventEmitter(), {isConnected: () => true, getUser});
+  const store = new MemoryStore();
+  const plugin = new MeetingsPlugin();
+
+  plugin.init({client, store, config: {teachers: [TEACHER], classes: []}, logger: {info() {}, error() {}}});
+  return {plugin, store};
+}
+
+// Let the lookups finish.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('MeetingsPlugin teacher lookups', () => {
+  it('keeps the names it looks up', async () => {
+    let lookups = 0;
+    const { plugin, store } = createPlugin((id) => {
+      lookups++;
+      return Promise.resolve({id, name: 'Teacher'});
+    });
+
+    plugin._lookUpTeachers();
+    await settle();
+    plugin._lookUpTeachers();
+    await settle();
+
+    assert.strictEqual(lookups, 1);
+    assert.strictEqual(store.get('teachers', TEACHER).name, 'Teacher');
+  });
+
+  it('doesn\'t look up a teacher again straight after the lookup failed', async (t) => {
+    let lookups = 0;
+    const { plugin, store } = createPlugin(() => {
+      lookups++;
+      return Promise.reject(new Error('Graph is down'));
+    });
+
+    plugin._lookUpTeachers();
+    await settle();
+    plugin._lookUpTeachers();
+    await settle();
+
+    assert.strictEqual(lookups, 1);
+    assert.strictEqual(store.get('teachers', TEACHER), undefined);
+
+    // An hour later, it's tried again.
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 60 * 60 * 1000);
+    plugin._lookUpTeachers();
+    await settle();
+
+    assert.strictEqual(lookups, 2);
+  });
+});
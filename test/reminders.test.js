@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Reminders } = require('../reminders');
+const { Templates } = require('../templates');
+const schedule = require('../schedule');
+const { MemoryStore, JsonFileStore } = require('../store');
+
+const GROUP_CHAT = '19:chat@thread.v2';
+const STATE_FILE = path.join(os.tmpdir(), `reminders-state-${process.pid}.json`);
+
+const templates = new Templates(path.join(__dirname, '..', 'templates'), path.join(__dirname, '..'));
+
+// A class session's start, minutes from now.
+function startIn(minutes) {
+  const start = new Date(Date.now() + minutes * 60 * 1000);
+  return {day: start.getUTCDay(), hour: start.getUTCHours(), mins: start.getUTCMinutes()};
+}
+
+function createClient() {
+  const client = {
+    sent: [],
+    sendMessage(channelId, content) {
+      client.sent.push({channelId, content});
+      return Promise.resolve({clientMessageId: String(client.sent.length)});
+    }
+  };
+
+  return client;
+}
+
+describe('Reminders', () => {
+  const config = {
+    timezone: 'UTC',
+    reminders: {before: 15, lateAfter: 10, channels: [GROUP_CHAT]},
+    classes: [
+      {title: 'Soon', channels: [], start: startIn(10)},
+      {title: 'Late', channels: [], start: startIn(-15)}
+    ]
+  };
+
+  before(() => fs.rmSync(STATE_FILE, {force: true}));
+  after(() => fs.rmSync(STATE_FILE, {force: true}));
+
+  it('posts the reminder and the notice once, even after a restart', async () => {
+    const store = new JsonFileStore(STATE_FILE);
+    await store.load();
+
+    const client = createClient();
+    await new Reminders(client, config, store, templates).check();
+
+    // The minutes depend on how far into the minute the test runs.
+    assert.deepStrictEqual(client.sent.map(({content}) => content.match(/<h1>(.*?)<\/h1>/)[1].replace(/\d+ min/, 'n min')).sort(), [
+      'Late hasn\'t started yet',
+      'Soon starts in n min'
+    ]);
+
+    // Checking again doesn't post them again.
+    await new Reminders(client, config, store, templates).check();
+    assert.strictEqual(client.sent.length, 2);
+
+    // Nor does a restart from the saved state.
+    await store.save();
+    const restarted = new JsonFileStore(STATE_FILE);
+    await restarted.load();
+
+    const restartedClient = createClient();
+    await new Reminders(restartedClient, config, restarted, templates).check();
+    assert.deepStrictEqual(restartedClient.sent, []);
+  });
+
+  it('doesn\'t post the notice for a class which has started', async () => {
+    const client = createClient();
+    const reminders = new Reminders(client, Object.assign({}, config, {classes: [config.classes[1]]}), new MemoryStore(), templates);
+
+    const { start } = schedule.findSession(config.classes[1], new Date(), {timezone: 'UTC'});
+    reminders.markStarted(config.classes[1], start);
+    await reminders.check();
+
+    assert.deepStrictEqual(client.sent, []);
+  });
+});
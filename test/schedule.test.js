@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const schedule = require('../schedule');
+
+// Sydney is UTC+10 until DST starts at 2am on 2023-10-01, then UTC+11.
+const defaults = {timezone: 'Australia/Sydney'};
+
+const mondayClass = {
+  title: 'Monday',
+  channels: [],
+  start: {day: 1, hour: 9, mins: 0}
+};
+
+describe('getSessions', () => {
+  it('treats a single start as a weekly session with the defaults filled in', () => {
+    assert.deepStrictEqual(schedule.getSessions({start: {day: 1, hour: 9}}), [{
+      day: 1,
+      hour: 9,
+      mins: 0,
+      window: {before: 30, after: 30},
+      every: 1,
+      from: undefined,
+      until: undefined,
+      exclude: []
+    }]);
+  });
+
+  it('expands a numeric window to both sides', () => {
+    const [session] = schedule.getSessions({sessions: [{day: 2, hour: 10, mins: 15, window: 10}]});
+    assert.deepStrictEqual(session.window, {before: 10, after: 10});
+  });
+});
+
+describe('findSession', () => {
+  it('matches a meeting started within the window of a weekly session', () => {
+    const found = schedule.findSession(mondayClass, new Date('2023-07-16T23:10:00Z'), defaults);
+
+    assert.ok(found);
+    assert.strictEqual(found.start.toISOString(), '2023-07-16T23:00:00.000Z');
+  });
+
+  it('matches up to the edges of the window and no further', () => {
+    assert.ok(schedule.findSession(mondayClass, new Date('2023-07-16T22:30:00Z'), defaults));
+    assert.ok(schedule.findSession(mondayClass, new Date('2023-07-16T23:30:00Z'), defaults));
+    assert.strictEqual(schedule.findSession(mondayClass, new Date('2023-07-16T22:29:00Z'), defaults), null);
+    assert.strictEqual(schedule.findSession(mondayClass, new Date('2023-07-16T23:31:00Z'), defaults), null);
+  });
+
+  it('uses a window with different before and after times', () => {
+    const tafeClass = {sessions: [{day: 1, hour: 9, mins: 0, window: {before: 5, after: 60}}]};
+
+    assert.strictEqual(schedule.findSession(tafeClass, new Date('2023-07-16T22:50:00Z'), defaults), null);
+    assert.ok(schedule.findSession(tafeClass, new Date('2023-07-16T23:55:00Z'), defaults));
+  });
+
+  it('matches a window which crosses midnight', () => {
+    const tafeClass = {sessions: [{day: 1, hour: 23, mins: 50}]};
+
+    // 00:10 on Tuesday in Sydney.
+    const found = schedule.findSession(tafeClass, new Date('2023-07-17T14:10:00Z'), defaults);
+    assert.ok(found);
+    assert.strictEqual(found.start.toISOString(), '2023-07-17T13:50:00.000Z');
+  });
+
+  it('doesn\'t match on other days', () => {
+    assert.strictEqual(schedule.findSession(mondayClass, new Date('2023-07-17T23:00:00Z'), defaults), null);
+  });
+
+  it('doesn\'t match excluded dates', () => {
+    const at = new Date('2023-07-16T23:00:00Z');
+
+    assert.strictEqual(schedule.findSession(Object.assign({exclude: ['2023-07-17']}, mondayClass), at, defaults), null);
+    assert.strictEqual(schedule.findSession(Object.assign({exclude: [{from: '2023-07-10', until: '2023-07-21'}]}, mondayClass), at, defaults), null);
+    assert.strictEqual(schedule.findSession(mondayClass, at, Object.assign({exclude: ['2023-07-17']}, defaults)), null);
+    assert.strictEqual(schedule.findSession({sessions: [{day: 1, hour: 9, exclude: ['2023-07-17']}]}, at, defaults), null);
+    assert.ok(schedule.findSession(Object.assign({exclude: ['2023-07-24']}, mondayClass), at, defaults));
+  });
+
+  it('uses the session time on the day of a DST change', () => {
+    // 9am on Monday 2023-10-02 is UTC+11.
+    const found = schedule.findSession(mondayClass, new Date('2023-10-01T22:05:00Z'), defaults);
+
+    assert.ok(found);
+    assert.strictEqual(found.start.toISOString(), '2023-10-01T22:00:00.000Z');
+    assert.strictEqual(schedule.findSession(mondayClass, new Date('2023-10-01T23:05:00Z'), defaults), null);
+  });
+});
+
+describe('nextSession', () => {
+  it('finds the next weekly session', () => {
+    const next = schedule.nextSession(mondayClass, new Date('2023-07-17T00:00:00Z'), defaults);
+    assert.strictEqual(next.start.toISOString(), '2023-07-23T23:00:00.000Z');
+  });
+
+  it('skips the session which has just started', () => {
+    const next = schedule.nextSession(mondayClass, new Date('2023-07-16T23:00:00Z'), defaults);
+    assert.strictEqual(next.start.toISOString(), '2023-07-23T23:00:00.000Z');
+  });
+
+  it('picks the soonest of several sessions', () => {
+    const tafeClass = {sessions: [{day: 3, hour: 13, mins: 30}, {day: 1, hour: 9}]};
+
+    const next = schedule.nextSession(tafeClass, new Date('2023-07-17T00:00:00Z'), defaults);
+    assert.strictEqual(next.start.toISOString(), '2023-07-19T03:30:00.000Z');
+    assert.strictEqual(next.session.day, 3);
+  });
+
+  it('counts fortnightly sessions from the from date', () => {
+    const tafeClass = {sessions: [{day: 5, hour: 10, mins: 0, every: 2, from: '2023-07-21'}]};
+
+    const first = schedule.nextSession(tafeClass, new Date('2023-07-01T00:00:00Z'), defaults);
+    assert.strictEqual(first.start.toISOString(), '2023-07-21T00:00:00.000Z');
+
+    // Not the week after.
+    const second = schedule.nextSession(tafeClass, first.start, defaults);
+    assert.strictEqual(second.start.toISOString(), '2023-08-04T00:00:00.000Z');
+
+    assert.strictEqual(schedule.findSession(tafeClass, new Date('2023-07-28T00:00:00Z'), defaults), null);
+  });
+
+  it('doesn\'t run after the until date', () => {
+    const tafeClass = {sessions: [{day: 1, hour: 9, until: '2023-07-24'}]};
+
+    const last = schedule.nextSession(tafeClass, new Date('2023-07-17T00:00:00Z'), defaults);
+    assert.strictEqual(last.start.toISOString(), '2023-07-23T23:00:00.000Z');
+    assert.strictEqual(schedule.nextSession(tafeClass, last.start, defaults), null);
+  });
+
+  it('skips excluded dates', () => {
+    const tafeClass = Object.assign({exclude: [{from: '2023-09-25', until: '2023-10-06'}]}, mondayClass);
+
+    const next = schedule.nextSession(tafeClass, new Date('2023-09-20T00:00:00Z'), defaults);
+    assert.strictEqual(next.start.toISOString(), '2023-10-08T22:00:00.000Z');
+  });
+
+  it('keeps the wall-clock time across a DST change', () => {
+    const before = schedule.nextSession(mondayClass, new Date('2023-09-20T00:00:00Z'), defaults);
+    assert.strictEqual(before.start.toISOString(), '2023-09-24T23:00:00.000Z');
+
+    const after = schedule.nextSession(mondayClass, before.start, defaults);
+    assert.strictEqual(after.start.toISOString(), '2023-10-01T22:00:00.000Z');
+  });
+
+  it('keeps the wall-clock time when DST ends', () => {
+    // DST ends at 3am on 2024-04-07, 9am on the Monday after is UTC+10 again.
+    const next = schedule.nextSession(mondayClass, new Date('2024-04-05T00:00:00Z'), defaults);
+    assert.strictEqual(next.start.toISOString(), '2024-04-07T23:00:00.000Z');
+  });
+});
+
+describe('zonedToUtc', () => {
+  it('converts wall-clock times either side of a DST change', () => {
+    assert.strictEqual(schedule.zonedToUtc(Date.UTC(2023, 8, 30, 9), 'Australia/Sydney').toISOString(), '2023-09-29T23:00:00.000Z');
+    assert.strictEqual(schedule.zonedToUtc(Date.UTC(2023, 9, 1, 9), 'Australia/Sydney').toISOString(), '2023-09-30T22:00:00.000Z');
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MemoryStore } = require('../store');
+
+describe('MemoryStore', () => {
+  it('expires entries older than maxAge, except in persistent namespaces', () => {
+    const store = new MemoryStore({maxAge: 60, persistent: ['teachers']});
+    store.set('meetings', 'a', 1);
+    store.set('teachers', 'b', 2);
+
+    // Age the entries past maxAge.
+    for (const namespace of Object.keys(store._data))
+      store._data[namespace][Object.keys(store._data[namespace])[0]].time -= 61 * 1000;
+
+    assert.strictEqual(store.has('meetings', 'a'), false);
+    assert.strictEqual(store.get('teachers', 'b'), 2);
+
+    store.prune();
+    assert.deepStrictEqual(store.keys('meetings'), []);
+    assert.deepStrictEqual(store.keys('teachers'), ['b']);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { withRetries, buildMentions, buildQuote, RequestError } = require('../teams');
+
+// A request which fails with the given statuses, then succeeds.
+function failing(...statuses) {
+  const request = () => {
+    request.calls++;
+    const status = statuses.shift();
+
+    return status
+      ? Promise.reject(new RequestError('request_failed', {status, headers: {'retry-after': '0'}}))
+      : Promise.resolve('done');
+  };
+
+  request.calls = 0;
+  return request;
+}
+
+describe('withRetries', () => {
+  it('retries server errors and rate limits', async () => {
+    const request = failing(503, 429);
+
+    assert.strictEqual(await withRetries(request, 3), 'done');
+    assert.strictEqual(request.calls, 3);
+  });
+
+  it('gives up after the retries', async () => {
+    const request = failing(500, 500, 500);
+
+    await assert.rejects(withRetries(request, 2), {status: 500});
+    assert.strictEqual(request.calls, 3);
+  });
+
+  it('doesn\'t retry client errors', async () => {
+    const request = failing(400);
+
+    await assert.rejects(withRetries(request, 3), {status: 400});
+    assert.strictEqual(request.calls, 1);
+  });
+
+  it('only retries requests which aren\'t idempotent when they\'re rate limited', async () => {
+    const limited = failing(429);
+    assert.strictEqual(await withRetries(limited, 3, false), 'done');
+    assert.strictEqual(limited.calls, 2);
+
+    const failed = failing(502);
+    await assert.rejects(withRetries(failed, 3, false), {status: 502});
+    assert.strictEqual(failed.calls, 1);
+  });
+});
+
+describe('buildQuote', () => {
+  const quote = (content) => buildQuote({id: '1690000000000', content, user: {id: '8:orgid:abc-def', name: 'Someone'}});
+  const preview = (html) => html.match(/<p itemprop="preview">(.*)<\/p>/)[1];
+
+  it('shortens long messages without splitting an entity', () => {
+    const content = `<p>${'a'.repeat(98)} &amp; more</p>`;
+
+    assert.strictEqual(preview(quote(content)), `${'a'.repeat(98)} &amp;…`);
+  });
+
+  it('escapes the preview text', () => {
+    assert.strictEqual(preview(quote('<p>1 &lt; 2 &amp;&amp; <b>bold</b></p>')), '1 &lt; 2 &amp;&amp; bold');
+  });
+});
+
+describe('buildMentions', () => {
+  it('places mentions at their placeholders', () => {
+    const built = buildMentions('<p>Hi {@0}, from {@1}</p>', [{id: 'abc-def', name: 'Student'}, {id: '8:orgid:teacher', name: 'Teacher & Co'}]);
+
+    assert.strictEqual(built.content, '<p>Hi '
+      + '<span itemscope="" itemtype="http://schema.skype.com/Mention" itemid="0">Student</span>, from '
+      + '<span itemscope="" itemtype="http://schema.skype.com/Mention" itemid="1">Teacher &amp; Co</span></p>');
+    assert.deepStrictEqual(built.mentions.map(({mri, mentionType, displayName}) => ({mri, mentionType, displayName})), [
+      {mri: '8:orgid:abc-def', mentionType: 'person', displayName: 'Student'},
+      {mri: '8:orgid:teacher', mentionType: 'person', displayName: 'Teacher & Co'}
+    ]);
+  });
+
+  it('puts mentions which aren\'t placed at the start', () => {
+    const built = buildMentions('<p>Class is on</p>', [{id: '19:abc@thread.v2'}]);
+
+    assert.strictEqual(built.content, '<p><span itemscope="" itemtype="http://schema.skype.com/Mention" itemid="0">Everyone</span></p><p>Class is on</p>');
+    assert.strictEqual(built.mentions[0].mentionType, 'chat');
+  });
+
+  it('works out the type of channel mentions and leaves unknown placeholders', () => {
+    const built = buildMentions('<p>{@0} {@5}</p>', [{id: '19:abc@thread.tacv2', name: 'General'}]);
+
+    assert.strictEqual(built.mentions[0].mentionType, 'channel');
+    assert.ok(built.content.endsWith(' {@5}</p>'));
+  });
+
+  it('rejects mentions which aren\'t valid', () => {
+    for (const mention of [{name: 'No ID'}, {id: ''}, {id: 42}, 'everyone', null, {id: 'abc', type: 'group'}, {id: 'abc', name: 7}])
+      assert.throws(() => buildMentions('<p>Hi</p>', [mention]), (error) => error === 'message.mentions', JSON.stringify(mention));
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Templates, render, emoticon } = require('../templates');
+
+describe('render', () => {
+  it('escapes values, and inserts triple-braced values as they are', () => {
+    const values = {name: '<b>Tom & "Jerry"</b>', html: '<b>bold</b>'};
+
+    assert.strictEqual(render('<p>{{name}} {{{html}}}</p>', values), '<p>&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt; <b>bold</b></p>');
+  });
+
+  it('looks up dotted names and leaves missing values empty', () => {
+    assert.strictEqual(render('{{teacher.name}}|{{teacher.email}}|{{missing.name}}', {teacher: {name: 'Teacher'}}), 'Teacher||');
+  });
+
+  it('renders sections for truthy values and inverted sections for falsy values', () => {
+    const template = '{{#teacher}}with {{teacher}}{{/teacher}}{{^teacher}}no teacher{{/teacher}}';
+
+    assert.strictEqual(render(template, {teacher: 'Teacher'}), 'with Teacher');
+    assert.strictEqual(render(template, {teacher: ''}), 'no teacher');
+    assert.strictEqual(render(template, {}), 'no teacher');
+  });
+
+  it('renders sections once for each item of a list', () => {
+    const template = '<ul>{{#classes}}<li>{{title}} in {{room}}</li>{{/classes}}{{^classes}}<li>None</li>{{/classes}}</ul>';
+
+    assert.strictEqual(render(template, {room: 'B1', classes: [{title: 'A'}, {title: 'B', room: 'B2'}]}), '<ul><li>A in B1</li><li>B in B2</li></ul>');
+    assert.strictEqual(render(template, {classes: []}), '<ul><li>None</li></ul>');
+  });
+
+  it('renders partials with the same values', () => {
+    const partials = {byline: '<p>{{#repoUrl}}{{> link}}{{/repoUrl}}</p>', link: '<a href="{{repoUrl}}">Bot</a>'};
+
+    assert.strictEqual(render('<h1>{{title}}</h1>{{> byline}}', {title: 'Class A', repoUrl: 'https://example.com/?a=1&b=2'}, (name) => partials[name]),
+      '<h1>Class A</h1><p><a href="https://example.com/?a=1&amp;b=2">Bot</a></p>');
+  });
+
+  it('fails for a partial which includes itself', () => {
+    const partials = {loop: '<p>{{> loop}}</p>', outer: '{{#items}}{{> inner}}{{/items}}', inner: '{{> outer}}'};
+
+    assert.throws(() => render('{{> loop}}', {}, (name) => partials[name]), /loop is nested too deeply/);
+    assert.throws(() => render('{{> outer}}', {items: [{}]}, (name) => partials[name]), /nested too deeply/);
+  });
+
+  it('renders emoticons', () => {
+    assert.strictEqual(render('{{emoticon:clock}}', {}), emoticon('clock'));
+    assert.match(render('{{emoticon:custom-id}}', {}), /itemid="custom-id"/);
+  });
+});
+
+describe('Templates', () => {
+  let dir;
+  let templates;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+    fs.writeFileSync(path.join(dir, 'greeting.html'), '<p>\n  Hello {{name}}\n</p>');
+    fs.writeFileSync(path.join(dir, 'custom.html'), '<p>Custom {{name}}</p>');
+    templates = new Templates(dir, dir);
+  });
+
+  after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('falls back to the templates directory, without the line breaks and indentation', () => {
+    assert.strictEqual(templates.render('greeting', {name: 'Tom'}), '<p>Hello Tom</p>');
+    assert.strictEqual(templates.render('greeting', {name: 'Tom'}, null, {other: 'Other'}), '<p>Hello Tom</p>');
+  });
+
+  it('uses the first template map which has the template', () => {
+    const classTemplates = {greeting: '<p>Hi {{name}}</p>'};
+    const configTemplates = {greeting: {file: 'custom.html'}};
+
+    assert.strictEqual(templates.render('greeting', {name: 'Tom'}, undefined, classTemplates, configTemplates), '<p>Hi Tom</p>');
+    assert.strictEqual(templates.render('greeting', {name: 'Tom'}, undefined, configTemplates), '<p>Custom Tom</p>');
+  });
+
+  it('looks partials up in the same template maps', () => {
+    assert.strictEqual(templates.render('page', {name: 'Tom'}, {page: '<div>{{> greeting}}</div>', greeting: '<b>{{name}}</b>'}), '<div><b>Tom</b></div>');
+    assert.strictEqual(templates.render('page', {name: 'Tom'}, {page: '<div>{{> greeting}}</div>'}), '<div><p>Hello Tom</p></div>');
+  });
+
+  it('fails for a template which doesn\'t exist', () => {
+    assert.throws(() => templates.render('missing', {}), (error) => typeof error === 'string' && error.startsWith('Unable to read template'));
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const xml = require('../xml');
+const { parseCallEvent } = require('../teams');
+
+describe('xml', () => {
+  it('parses fragments without a single root element', () => {
+    const root = xml.parse('<ended/><partlist type="ended"><part identity="a"><name>a</name></part></partlist>');
+
+    assert.deepStrictEqual(root.children.map((child) => child.name), ['ended', 'partlist']);
+    assert.strictEqual(xml.find(root, 'partlist').attributes.type, 'ended');
+    assert.strictEqual(xml.text(xml.find(root, 'part'), 'name'), 'a');
+  });
+
+  it('parses attributes with spaces around the = and either quotes', () => {
+    const [element] = xml.parse(`<partlist alt ="" type = 'started' count="2">`).children;
+
+    assert.deepStrictEqual(element.attributes, {alt: '', type: 'started', count: '2'});
+  });
+
+  it('ignores closing tags which don\'t match', () => {
+    const root = xml.parse('<a><b>one</c></b><b>two</b></a>');
+
+    assert.deepStrictEqual(xml.findAll(root, 'b').map((element) => xml.text(element)), ['one', 'two']);
+  });
+
+  it('skips comments and processing instructions and keeps CDATA as text', () => {
+    const root = xml.parse('<?xml version="1.0"?><a><!-- note --><![CDATA[<b>&amp;</b>]]></a>');
+
+    assert.strictEqual(xml.text(root, 'a'), '<b>&amp;</b>');
+  });
+
+  it('decodes entities in text and attributes', () => {
+    const [element] = xml.parse('<name title="Tom &quot;T&quot; &amp; Co">&lt;Tom&gt; &#39;T&#x27; &#x1F600;</name>').children;
+
+    assert.strictEqual(element.attributes.title, 'Tom "T" & Co');
+    assert.strictEqual(xml.text(element), '<Tom> \'T\' \u{1F600}');
+  });
+
+  it('leaves entities for code points which don\'t exist as they are', () => {
+    assert.strictEqual(xml.text(xml.parse('<a>&#x110000; &#99999999; &#65;</a>'), 'a'), '&#x110000; &#99999999; A');
+  });
+
+  it('returns undefined for text of elements which don\'t exist', () => {
+    const root = xml.parse('<a></a>');
+
+    assert.strictEqual(xml.text(root, 'b'), undefined);
+    assert.strictEqual(xml.text(undefined), undefined);
+    assert.strictEqual(xml.find(root, 'b'), undefined);
+  });
+});
+
+describe('parseCallEvent', () => {
+  it('reads the participants of an ended call', () => {
+    const content = '<ended/><partlist type="ended" alt ="">'
+      + '<part identity="8:orgid:teacher" role="organizer"><name>8:orgid:teacher</name><displayName>Teacher</displayName><duration>3600</duration></part>'
+      + '<part identity="8:orgid:student"><name>8:orgid:student</name><displayName>Student &amp; Co</displayName><duration>1800</duration><joinTime>2023-07-17T09:05:00Z</joinTime></part>'
+      + '<part identity="28:bot"><name>28:bot</name><duration>3600</duration></part>'
+      + '<part identity="8:guest:someone"><name>8:guest:someone</name></part>'
+      + '<part identity="8:anonymous:abc"><name>8:anonymous:abc</name><duration>60</duration></part>'
+      + '</partlist>';
+
+    const callEvent = parseCallEvent(content);
+
+    assert.strictEqual(callEvent.organizerId, '8:orgid:teacher');
+    assert.deepStrictEqual(callEvent.participants.map(({id, name, type, duration}) => ({id, name, type, duration})), [
+      {id: '8:orgid:teacher', name: 'Teacher', type: 'user', duration: 3600},
+      {id: '8:orgid:student', name: 'Student & Co', type: 'user', duration: 1800},
+      {id: '28:bot', name: '28:bot', type: 'bot', duration: 3600},
+      {id: '8:guest:someone', name: '8:guest:someone', type: 'guest', duration: null},
+      {id: '8:anonymous:abc', name: 'Anonymous', type: 'anonymous', duration: 60}
+    ]);
+    assert.strictEqual(callEvent.participants[1].joinTime, '2023-07-17T09:05:00Z');
+  });
+
+  it('reads a participant\'s name with an entity for a code point which doesn\'t exist', () => {
+    const content = '<ended/><partlist type="ended"><part identity="8:orgid:student"><displayName>Bad &#x110000;</displayName><duration>60</duration></part></partlist>';
+
+    assert.deepStrictEqual(parseCallEvent(content).participants.map(({name, duration}) => ({name, duration})), [{name: 'Bad &#x110000;', duration: 60}]);
+  });
+});
@@ -0,0 +1,122 @@
+/*
+A small, lenient XML parser for the markup Teams puts in messages, e.g. the participant list of a call event. It
+handles fragments without a single root element, attributes with spaces around the '=', and mismatched closing tags.
+Elements are parsed into
+{
+  name: string
+  attributes: { [name: string]: string }
+  children: (element | string)[]      Text is kept as strings, with entities decoded
+}
+*/
+
+const TOKENS = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTES = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+/**
+ * Parse XML markup. The returned root element wraps everything in the markup.
+ * 
+ * @param {string} markup
+ * 
+ * @returns {object}
+ */
+function parse(markup) {
+  const root = {name: '#root', attributes: {}, children: []};
+  const stack = [root];
+
+  for (const match of markup.matchAll(TOKENS)) {
+    const [, cdata, closing, opening, attributes, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (text !== undefined) {
+      parent.children.push(decodeEntities(text));
+    } else if (opening) {
+      const element = {name: opening, attributes: parseAttributes(attributes), children: []};
+      parent.children.push(element);
+
+      if (!selfClosing)
+        stack.push(element);
+    } else if (closing) {
+      // Close back to the matching element, ignoring closing tags which don't match anything.
+      const index = stack.map((element) => element.name).lastIndexOf(closing);
+      if (index > 0)
+        stack.length = index;
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Find the elements with a name anywhere below an element.
+ * 
+ * @param {object} element
+ * @param {string} name
+ * 
+ * @returns {object[]}
+ */
+function findAll(element, name) {
+  return element.children
+    .filter((child) => typeof child === 'object')
+    .reduce((found, child) => found.concat(child.name === name ? [child] : [], findAll(child, name)), []);
+}
+
+/**
+ * Find the first element with a name anywhere below an element.
+ * 
+ * @param {object} element
+ * @param {string} name
+ * 
+ * @returns {object|undefined}
+ */
+function find(element, name) {
+  return findAll(element, name)[0];
+}
+
+/**
+ * Get the text content of an element, or of its first child element with a name.
+ * 
+ * @param {object} element
+ * @param {string} name
+ * 
+ * @returns {string|undefined} Undefined if there is no such element.
+ */
+function text(element, name) {
+  if (!element)
+    return undefined;
+
+  if (name) {
+    const child = element.children.find((candidate) => typeof candidate === 'object' && candidate.name === name);
+    return child ? text(child) : undefined;
+  }
+
+  return element.children.map((child) => typeof child === 'string' ? child : text(child)).join('').trim();
+}
+
+function parseAttributes(markup) {
+  const attributes = {};
+
+  for (const [, name, doubleQuoted, singleQuoted] of (markup ?? '').matchAll(ATTRIBUTES))
+    attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted ?? '');
+
+  return attributes;
+}
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    switch (code.toLowerCase()) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+    }
+
+    // Entities for code points which don't exist are left as they are, fromCodePoint throws for them.
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1));
+    return (isNaN(point) || point > 0x10FFFF) ? entity : String.fromCodePoint(point);
+  });
+}
+
+module.exports = { parse, find, findAll, text };